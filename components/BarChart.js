@@ -0,0 +1,170 @@
+/*
+ * BarChart.js - Accessible SVG bar chart with a table fallback
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import useTranslation from "../hooks/useTranslation";
+
+const LABEL_WIDTH = 140;
+const BAR_AREA_WIDTH = 420;
+const VALUE_WIDTH = 40;
+const BAR_HEIGHT = 20;
+const BAR_GAP = 8;
+
+const cellStyle = {
+  padding: "4px 8px",
+  borderBottom: "1px solid #ccc",
+  textAlign: "left",
+};
+
+// Horizontal bar chart drawn as inline SVG. Each row has one value per
+// series; several series are stacked. The SVG is announced as a single image
+// with a text summary, and the numbers are also available as a table.
+//   rows     [{ label, values: [number, ...] }]
+//   series   [{ name, color }], one per value
+export default function BarChart({ id, title, summary, rows, series }) {
+  const { t } = useTranslation();
+  const totals = rows.map(({ values }) =>
+    values.reduce((sum, value) => sum + value, 0)
+  );
+  const max = Math.max(1, ...totals);
+  const height = rows.length * (BAR_HEIGHT + BAR_GAP);
+  const width = LABEL_WIDTH + BAR_AREA_WIDTH + VALUE_WIDTH;
+
+  return (
+    <figure style={{ margin: "0 0 32px" }}>
+      <h2
+        id={`${id}-title`}
+        style={{ fontSize: "1.25rem", marginBottom: "8px" }}
+      >
+        {title}
+      </h2>
+      {series.length > 1 && (
+        <p style={{ marginBottom: "8px" }} aria-hidden="true">
+          {series.map(({ name, color }) => (
+            <span key={name} style={{ marginRight: "16px" }}>
+              <span
+                style={{
+                  display: "inline-block",
+                  width: "12px",
+                  height: "12px",
+                  marginRight: "4px",
+                  backgroundColor: color,
+                }}
+              />
+              {name}
+            </span>
+          ))}
+        </p>
+      )}
+      <svg
+        role="img"
+        aria-labelledby={`${id}-title ${id}-summary`}
+        viewBox={`0 0 ${width} ${height}`}
+        width="100%"
+        style={{ maxWidth: `${width}px`, fontSize: "12px" }}
+      >
+        <desc id={`${id}-summary`}>{summary}</desc>
+        {rows.map(({ label, values }, index) => {
+          const y = index * (BAR_HEIGHT + BAR_GAP);
+          let x = LABEL_WIDTH;
+          return (
+            <g key={label}>
+              <text
+                x={LABEL_WIDTH - 8}
+                y={y + BAR_HEIGHT / 2}
+                textAnchor="end"
+                dominantBaseline="middle"
+              >
+                {label}
+              </text>
+              {values.map((value, seriesIndex) => {
+                const barWidth = (value / max) * BAR_AREA_WIDTH;
+                const rect = (
+                  <rect
+                    key={series[seriesIndex].name}
+                    x={x}
+                    y={y}
+                    width={barWidth}
+                    height={BAR_HEIGHT}
+                    fill={series[seriesIndex].color}
+                  />
+                );
+                x += barWidth;
+                return rect;
+              })}
+              <text x={x + 6} y={y + BAR_HEIGHT / 2} dominantBaseline="middle">
+                {totals[index]}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+      <details style={{ marginTop: "8px" }}>
+        <summary style={{ cursor: "pointer" }}>
+          {t("barChart.showTable")}
+        </summary>
+        <table style={{ borderCollapse: "collapse", marginTop: "8px" }}>
+          <caption style={{ textAlign: "left" }}>{title}</caption>
+          <thead>
+            <tr>
+              <td style={cellStyle} />
+              {series.map(({ name }) => (
+                <th key={name} style={cellStyle} scope="col">
+                  {name}
+                </th>
+              ))}
+              {series.length > 1 && (
+                <th style={cellStyle} scope="col">
+                  {t("barChart.total")}
+                </th>
+              )}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(({ label, values }, index) => (
+              <tr key={label}>
+                <th style={cellStyle} scope="row">
+                  {label}
+                </th>
+                {values.map((value, seriesIndex) => (
+                  <td key={series[seriesIndex].name} style={cellStyle}>
+                    {value}
+                  </td>
+                ))}
+                {series.length > 1 && (
+                  <td style={cellStyle}>{totals[index]}</td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </details>
+    </figure>
+  );
+}
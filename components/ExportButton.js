@@ -0,0 +1,111 @@
+/*
+ * ExportButton.js - Download form for exporting the listed students
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import useTranslation from "../hooks/useTranslation";
+import { STUDENT_FIELDS } from "../utils/studentSchema";
+
+const FORMATS = [
+  { value: "csv", label: "CSV" },
+  { value: "xlsx", label: "Excel (XLSX)" },
+  { value: "json", label: "JSON" },
+];
+
+// Downloads the students matching `filter` (the /api/students query
+// parameters, e.g. { gender: "female", subject: "Physics" }) from
+// /api/students/export. A plain GET form, so it works without JavaScript and
+// on prerendered pages.
+export default function ExportButton({ filter = {} }) {
+  const { t } = useTranslation();
+  const hidden = Object.entries(filter).flatMap(([name, value]) =>
+    [value]
+      .flat()
+      .filter((entry) => entry !== undefined && entry !== null && entry !== "")
+      .map((entry) => ({ name, value: String(entry) }))
+  );
+
+  return (
+    <form
+      action="/api/students/export"
+      method="get"
+      style={{
+        display: "flex",
+        flexWrap: "wrap",
+        alignItems: "center",
+        gap: "8px",
+        margin: "16px 0",
+      }}
+    >
+      {hidden.map(({ name, value }) => (
+        <input
+          key={`${name}=${value}`}
+          type="hidden"
+          name={name}
+          value={value}
+        />
+      ))}
+      <label htmlFor="export-format" style={{ fontWeight: "bold" }}>
+        {t("export.label")}
+      </label>
+      <select
+        id="export-format"
+        name="format"
+        defaultValue="csv"
+        style={{
+          padding: "4px",
+          borderRadius: "4px",
+          border: "1px solid #ccc",
+        }}
+      >
+        {FORMATS.map(({ value, label }) => (
+          <option key={value} value={value}>
+            {label}
+          </option>
+        ))}
+      </select>
+      <details>
+        <summary style={{ cursor: "pointer" }}>{t("export.columns")}</summary>
+        {STUDENT_FIELDS.map((field) => (
+          <label key={field} style={{ display: "block" }}>
+            <input
+              type="checkbox"
+              name="columns"
+              value={field}
+              defaultChecked
+            />{" "}
+            {t(`fields.${field}`)}
+          </label>
+        ))}
+      </details>
+      <button type="submit" style={{ padding: "4px 12px" }}>
+        {t("export.download")}
+      </button>
+    </form>
+  );
+}
@@ -0,0 +1,316 @@
+/*
+ * InfiniteStudentList.js - Student list loaded page by page while scrolling
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import Link from "next/link";
+import { useCallback, useEffect, useRef, useState } from "react";
+import useClientProvenance from "../hooks/useClientProvenance";
+import useTranslation from "../hooks/useTranslation";
+
+// Fixed cell size, so the position of every row is known without measuring
+const COLUMNS = 8;
+const CELL_HEIGHT = 80;
+const ROW_HEIGHT = CELL_HEIGHT + 16; // cell plus grid gap
+// Rows rendered above and below the viewport to avoid blank rows while
+// scrolling quickly
+const OVERSCAN_ROWS = 4;
+
+// The loaded students and scroll position are saved before following a link
+// and restored only for the same history entry, i.e. when the user comes
+// back with the Back button
+function readSavedList(storageKey) {
+  try {
+    const saved = JSON.parse(sessionStorage.getItem(storageKey));
+    const historyKey = window.history.state?.key;
+    if (
+      historyKey &&
+      saved?.historyKey === historyKey &&
+      Number.isInteger(saved.pages)
+    ) {
+      return saved;
+    }
+  } catch {
+    // Storage unavailable or corrupt: start from the first page
+  }
+  return null;
+}
+
+// Loads students page by page from /api/students as the end of the list
+// scrolls into view, and only renders the rows near the viewport. `query`
+// holds the filter parameters (see utils/query.js); pass null to wait.
+export default function InfiniteStudentList({
+  query,
+  pageSize = 40,
+  linkBase = "/students/idfilterssr",
+}) {
+  const { t } = useTranslation();
+  const queryString = query ? new URLSearchParams(query).toString() : null;
+  const storageKey = `infinite-students?${queryString}`;
+
+  // pages counts the pages loaded so far, fetchedAt is when the last arrived
+  const [list, setList] = useState({ students: [], total: null, pages: 0 });
+  const [status, setStatus] = useState({ loading: false, error: null });
+  const [rows, setRows] = useState({ first: 0, last: 20 });
+  const containerRef = useRef(null);
+  const sentinelRef = useRef(null);
+  const controllerRef = useRef(null);
+  const restoreScrollRef = useRef(null);
+
+  // Start over (or restore the saved list) whenever the filter changes
+  useEffect(() => {
+    if (queryString === null) return;
+    const saved = readSavedList(storageKey);
+    if (saved) {
+      setList({
+        students: saved.students,
+        total: saved.total,
+        pages: saved.pages,
+        fetchedAt: saved.fetchedAt,
+      });
+      restoreScrollRef.current = saved.scrollY;
+    } else {
+      setList({ students: [], total: null, pages: 0 });
+    }
+    setStatus({ loading: false, error: null });
+
+    return () => {
+      controllerRef.current?.abort();
+      controllerRef.current = null;
+    };
+  }, [queryString, storageKey]);
+
+  useClientProvenance(
+    list.total === null ? undefined : list.students,
+    list.fetchedAt
+  );
+
+  const hasMore = list.total === null || list.pages * pageSize < list.total;
+
+  const loadMore = useCallback(() => {
+    if (queryString === null || controllerRef.current) return;
+
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    const params = new URLSearchParams(queryString);
+    params.set("page", list.pages + 1);
+    params.set("pageSize", pageSize);
+
+    setStatus({ loading: true, error: null });
+    fetch(`/api/students?${params}`, { signal: controller.signal })
+      .then(async (response) => {
+        const body = await response.json().catch(() => null);
+        if (!response.ok) {
+          throw new Error(
+            body?.error?.message ||
+              `Request failed with status ${response.status}`
+          );
+        }
+        if (controller.signal.aborted) return;
+        // Pages are offsets, so a student created since the previous page
+        // shifts one already shown onto this one; skip those. (One deleted
+        // meanwhile shifts a row onto the previous page, which is missed.)
+        setList((previous) => {
+          const loaded = new Set(previous.students.map(({ ID }) => ID));
+          return {
+            students: [
+              ...previous.students,
+              ...body.students.filter(({ ID }) => !loaded.has(ID)),
+            ],
+            total: body.total,
+            pages: previous.pages + 1,
+            fetchedAt: new Date().toISOString(),
+          };
+        });
+        setStatus({ loading: false, error: null });
+      })
+      .catch((error) => {
+        if (error.name !== "AbortError") setStatus({ loading: false, error });
+      })
+      .finally(() => {
+        if (controllerRef.current === controller) controllerRef.current = null;
+      });
+  }, [queryString, pageSize, list.pages]);
+
+  // A new observer after every page, so the next page is requested right away
+  // if the end of the list is still in view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (typeof IntersectionObserver === "undefined") return;
+    if (!sentinel || !hasMore || status.error) return;
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) loadMore();
+      },
+      { rootMargin: "0px 0px 400px 0px" }
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [loadMore, hasMore, status.error]);
+
+  // Work out which rows are near the viewport
+  useEffect(() => {
+    const update = () => {
+      const container = containerRef.current;
+      if (!container) return;
+      const top = container.getBoundingClientRect().top;
+      const first = Math.max(0, Math.floor(-top / ROW_HEIGHT) - OVERSCAN_ROWS);
+      const last =
+        Math.ceil((window.innerHeight - top) / ROW_HEIGHT) + OVERSCAN_ROWS;
+      setRows((previous) =>
+        previous.first === first && previous.last === last
+          ? previous
+          : { first, last }
+      );
+    };
+    update();
+    window.addEventListener("scroll", update, { passive: true });
+    window.addEventListener("resize", update);
+    return () => {
+      window.removeEventListener("scroll", update);
+      window.removeEventListener("resize", update);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (restoreScrollRef.current === null) return;
+    window.scrollTo(0, restoreScrollRef.current);
+    restoreScrollRef.current = null;
+  }, [list]);
+
+  const saveList = () => {
+    try {
+      sessionStorage.setItem(
+        storageKey,
+        JSON.stringify({
+          historyKey: window.history.state?.key,
+          students: list.students,
+          total: list.total,
+          pages: list.pages,
+          fetchedAt: list.fetchedAt,
+          scrollY: window.scrollY,
+        })
+      );
+    } catch {
+      // Storage full or unavailable: the list starts over on return
+    }
+  };
+
+  const rowCount = Math.ceil(list.students.length / COLUMNS);
+  const visible = list.students.slice(
+    rows.first * COLUMNS,
+    (rows.last + 1) * COLUMNS
+  );
+
+  return (
+    <div style={{ paddingTop: "40px", maxWidth: "800px", margin: "0 auto" }}>
+      <h2>{t("studentList.title")}</h2>
+      {list.total !== null && (
+        <p style={{ marginBottom: "16px" }}>
+          {t("infiniteList.showing", {
+            count: list.students.length,
+            total: list.total,
+          })}
+        </p>
+      )}
+
+      {/* Sized for all loaded rows, so the scrollbar reflects the list */}
+      <div
+        ref={containerRef}
+        onClickCapture={saveList}
+        style={{ position: "relative", height: `${rowCount * ROW_HEIGHT}px` }}
+      >
+        <div
+          style={{
+            display: "grid",
+            gridTemplateColumns: `repeat(${COLUMNS}, 100px)`,
+            gridAutoRows: `${CELL_HEIGHT}px`,
+            gap: "16px",
+            transform: `translateY(${rows.first * ROW_HEIGHT}px)`,
+          }}
+        >
+          {visible.map((student) => (
+            <div key={student.ID} style={{ overflow: "hidden" }}>
+              <Link
+                href={`${linkBase}/${student.ID}`}
+                style={{
+                  color: "#1a73e8",
+                  textDecoration: "underline",
+                  display: "block",
+                  overflow: "hidden",
+                  textOverflow: "ellipsis",
+                  whiteSpace: "nowrap",
+                }}
+              >
+                {student.firstname}
+                <br /> {student.lastname}
+                <br /> ({student.ID})
+              </Link>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div ref={sentinelRef} />
+
+      {list.total === 0 && <p>{t("studentList.empty")}</p>}
+      {status.loading && <p role="status">{t("infiniteList.loadingMore")}</p>}
+      {status.error && (
+        <div
+          role="alert"
+          style={{
+            marginTop: "16px",
+            padding: "12px",
+            borderRadius: "4px",
+            border: "1px solid #d93025",
+            color: "#d93025",
+          }}
+        >
+          {t("infiniteList.loadError", { message: status.error.message })}{" "}
+          <button
+            type="button"
+            onClick={loadMore}
+            style={{ padding: "4px 12px" }}
+          >
+            {t("infiniteList.retry")}
+          </button>
+        </div>
+      )}
+      {/* For browsers without IntersectionObserver and keyboard users */}
+      {!status.loading && !status.error && list.total !== null && hasMore && (
+        <button
+          type="button"
+          onClick={loadMore}
+          style={{ marginTop: "16px", padding: "8px 16px" }}
+        >
+          {t("infiniteList.loadMore")}
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+/*
+ * LanguageSwitcher.js - Links to the current page in each language
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import Link from "next/link";
+import { useRouter } from "next/router";
+import useTranslation from "../hooks/useTranslation";
+
+// Names are shown in their own language, so they can be found from either
+const LANGUAGE_NAMES = { en: "English", de: "Deutsch" };
+
+// Links to the current page in every locale
+export default function LanguageSwitcher() {
+  const router = useRouter();
+  const { locale, t } = useTranslation();
+
+  return (
+    <nav
+      aria-label={t("common.language")}
+      style={{ padding: "8px 24px", textAlign: "right" }}
+    >
+      {router.locales.map((code, index) => (
+        <span key={code}>
+          {index > 0 && " · "}
+          {code === locale ? (
+            <strong aria-current="true" lang={code}>
+              {LANGUAGE_NAMES[code] || code}
+            </strong>
+          ) : (
+            <Link
+              href={router.asPath}
+              locale={code}
+              lang={code}
+              hrefLang={code}
+              style={{ color: "#1a73e8" }}
+            >
+              {LANGUAGE_NAMES[code] || code}
+            </Link>
+          )}
+        </span>
+      ))}
+    </nav>
+  );
+}
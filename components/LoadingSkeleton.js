@@ -0,0 +1,90 @@
+/*
+ * LoadingSkeleton.js - Placeholder shown while a fallback page is generated
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import useTranslation from "../hooks/useTranslation";
+
+// Grey placeholder blocks shown while a fallback: true page is generated
+function Bar({ width, height = "16px" }) {
+  return (
+    <div
+      style={{
+        width,
+        height,
+        margin: "8px 0",
+        borderRadius: "4px",
+        backgroundColor: "#e0e0e0",
+      }}
+    />
+  );
+}
+
+export default function LoadingSkeleton({ variant = "card" }) {
+  const { t } = useTranslation();
+  if (variant === "list") {
+    return (
+      <div
+        role="status"
+        aria-label={t("loading.students")}
+        style={{ paddingTop: "40px", maxWidth: "800px", margin: "0 auto" }}
+      >
+        <Bar width="200px" height="24px" />
+        <div
+          style={{
+            display: "grid",
+            gridTemplateColumns: "repeat(8, 100px)",
+            gap: "16px",
+          }}
+        >
+          {Array.from({ length: 16 }, (_, index) => (
+            <Bar key={index} width="100px" height="48px" />
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div
+      role="status"
+      aria-label={t("loading.student")}
+      style={{
+        border: "1px solid #ccc",
+        padding: "16px",
+        margin: "8px",
+        borderRadius: "8px",
+      }}
+    >
+      <Bar width="180px" height="24px" />
+      {["120px", "160px", "200px", "140px", "80px"].map((width) => (
+        <Bar key={width} width={width} />
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,81 @@
+/*
+ * PageSuggestions.js - Links to the pages closest to a URL that failed
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import Link from "next/link";
+import { useRouter } from "next/router";
+import useFetch from "../hooks/useFetch";
+import useTranslation from "../hooks/useTranslation";
+
+// Lists pages close to the current URL. The error pages are prerendered
+// without knowing which URL failed, so the suggestions are fetched from
+// /api/suggestions once the router knows it.
+export default function PageSuggestions() {
+  const router = useRouter();
+  const { t, locale } = useTranslation();
+  const params = new URLSearchParams({ path: router.asPath, locale });
+  const { data } = useFetch(
+    router.isReady ? `/api/suggestions?${params}` : null
+  );
+  const suggestions = data?.suggestions || [];
+
+  return (
+    <div style={{ marginTop: "24px" }}>
+      {suggestions.length > 0 && (
+        <>
+          <p>{t("suggestions.didYouMean")}</p>
+          <ul style={{ listStyle: "disc", paddingLeft: "20px" }}>
+            {suggestions.map(({ href, label }) => (
+              <li key={href} style={{ marginBottom: "8px" }}>
+                <Link href={href} style={{ color: "#1a73e8" }}>
+                  {label}
+                </Link>{" "}
+                ({href})
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+      <p>
+        {t("suggestions.goBack", {
+          home: (
+            <Link href="/" style={{ color: "#1a73e8" }}>
+              {t("suggestions.home")}
+            </Link>
+          ),
+          all: (
+            <Link href="/students/all" style={{ color: "#1a73e8" }}>
+              {t("suggestions.all")}
+            </Link>
+          ),
+        })}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+/*
+ * ProvenanceBadge.js - Overlay showing how and when the current page got its data
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import { useRouter } from "next/router";
+import { useEffect, useState } from "react";
+import useTranslation from "../hooks/useTranslation";
+import { firstValue } from "../utils/api";
+
+const STORAGE_KEY = "showProvenance";
+const OFF_VALUES = ["0", "false", "off"];
+
+// ?provenance (or ?provenance=1) shows the badge and ?provenance=0 hides it
+// again. The choice is kept for the browser tab, so the badge stays while
+// following links. Decided after hydration, so the server HTML never has it.
+function useProvenanceToggle() {
+  const router = useRouter();
+  const flag = firstValue(router.query.provenance);
+  const [visible, setVisible] = useState(false);
+
+  useEffect(() => {
+    if (!router.isReady) return;
+    const requested = flag === undefined ? null : !OFF_VALUES.includes(flag);
+    try {
+      if (requested === true) sessionStorage.setItem(STORAGE_KEY, "1");
+      if (requested === false) sessionStorage.removeItem(STORAGE_KEY);
+      setVisible(sessionStorage.getItem(STORAGE_KEY) === "1");
+    } catch {
+      // Storage unavailable: only the flag in the URL counts
+      setVisible(requested === true);
+    }
+  }, [router.isReady, flag]);
+
+  return visible;
+}
+
+// Shows how the current page was actually rendered, from the provenance its
+// data function added to the props or its browser fetch reported (see
+// utils/provenance.js). Pages with neither were prerendered without data.
+export default function ProvenanceBadge({ provenance }) {
+  const { t, formatDateTime } = useTranslation();
+  const visible = useProvenanceToggle();
+  if (!visible) return null;
+
+  // Rendered in the browser only, so the viewer's time zone can be used
+  const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const time = provenance?.fetchedAt
+    ? formatDateTime(provenance.fetchedAt, timeZone)
+    : t("provenance.unknownTime");
+
+  let mode = t("provenance.static");
+  if (provenance?.revalidate) {
+    mode = t("provenance.revalidate", {
+      mode: provenance.mode,
+      seconds: provenance.revalidate,
+    });
+  } else if (provenance) {
+    mode = provenance.mode;
+  }
+
+  return (
+    <aside
+      aria-label={t("provenance.label")}
+      style={{
+        position: "fixed",
+        right: "16px",
+        bottom: "16px",
+        zIndex: 1000,
+        maxWidth: "320px",
+        padding: "12px 16px",
+        border: "1px solid #ccc",
+        borderRadius: "8px",
+        backgroundColor: "#fff",
+        boxShadow: "0 2px 8px rgba(0, 0, 0, 0.15)",
+        fontSize: "0.8rem",
+        lineHeight: 1.5,
+      }}
+    >
+      <strong>{t("provenance.mode", { mode })}</strong>
+      <br />
+      {provenance
+        ? t(`provenance.${provenance.fetchedDuring}`, { time })
+        : t("provenance.none")}
+      {provenance && (
+        <>
+          <br />
+          {t("provenance.hash", { hash: <code>{provenance.hash}</code> })}
+        </>
+      )}
+      <div style={{ color: "#555" }}>
+        {t("provenance.hide", { flag: <code>?provenance=0</code> })}
+      </div>
+    </aside>
+  );
+}
@@ -0,0 +1,93 @@
+/*
+ * RegenerationStatus.js - Generation time and revalidate countdown of an ISR page
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import { useEffect, useState } from "react";
+import useTranslation from "../hooks/useTranslation";
+
+// The current time in milliseconds, updated every interval. Null during the
+// server render and the first client render, so both produce the same markup.
+function useNow(interval) {
+  const [now, setNow] = useState(null);
+
+  useEffect(() => {
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), interval);
+    return () => clearInterval(timer);
+  }, [interval]);
+
+  return now;
+}
+
+// Shows when an ISR page was generated (an ISO timestamp from
+// getStaticProps) and how long until its revalidate window ends. The time is
+// shown in UTC until the page is hydrated, then in the viewer's time zone,
+// with the age and the countdown ticking every second.
+export default function RegenerationStatus({ generatedAt, revalidate }) {
+  const { t, formatDateTime, formatRelativeTime } = useTranslation();
+  const now = useNow(1000);
+
+  const timeZone =
+    now === null ? "UTC" : Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const generated = Date.parse(generatedAt);
+  const windowEnd = generated + revalidate * 1000;
+
+  return (
+    <>
+      {t("isr.generatedAt", {
+        time: <strong>{formatDateTime(generatedAt, timeZone)}</strong>,
+      })}{" "}
+      {t("isr.timeZone", { zone: timeZone })}
+      {now !== null && (
+        <>
+          <br />
+          <span role="timer">
+            {t("isr.regeneratedAgo", {
+              // The clocks of server and browser may differ slightly
+              ago: formatRelativeTime(Math.min(0, (generated - now) / 1000)),
+            })}{" "}
+            {now < windowEnd
+              ? t("isr.windowEndsIn", {
+                  in: (
+                    <strong>
+                      {formatRelativeTime(Math.ceil((windowEnd - now) / 1000))}
+                    </strong>
+                  ),
+                  time: formatDateTime(
+                    new Date(windowEnd).toISOString(),
+                    timeZone
+                  ),
+                })
+              : t("isr.windowPassed")}
+          </span>
+        </>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,131 @@
+/*
+ * StatsDashboard.js - Charts summarising the student population
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import useTranslation from "../hooks/useTranslation";
+import BarChart from "./BarChart";
+
+// Series colours, with enough contrast against white and each other
+const PALETTE = ["#1a73e8", "#e8710a", "#188038", "#a142f4"];
+
+// Chart rows with a translated label for each counted value
+function countRows(counts, label = String) {
+  return counts.map(({ value, count }) => ({
+    label: label(value),
+    values: [count],
+  }));
+}
+
+// Charts for the object returned by computeStats (utils/stats.js)
+export default function StatsDashboard({ stats }) {
+  const { t, locale, formatDate, genderName, subjectName } = useTranslation();
+  const { total, age } = stats;
+  const number = new Intl.NumberFormat(locale).format;
+  const years = (value) => t("stats.years", { age: value });
+  const listCounts = (counts, label = String) =>
+    counts
+      .map(({ value, count }) =>
+        t("stats.count", { value: label(value), count })
+      )
+      .join(", ");
+
+  const genders = stats.byGender.map(({ value }) => value);
+  const genderSeries = genders.map((gender, index) => ({
+    name: genderName(gender),
+    color: PALETTE[index % PALETTE.length],
+  }));
+  const countSeries = [{ name: t("stats.students"), color: PALETTE[0] }];
+
+  return (
+    <>
+      <p style={{ marginBottom: "24px" }}>
+        {t("stats.summary", {
+          total,
+          genders: listCounts(stats.byGender, genderName),
+          subjects: stats.bySubject.length,
+          cities: stats.byCity.length,
+        })}
+        {age.min !== null &&
+          ` ${t("stats.ages", {
+            min: age.min,
+            max: age.max,
+            mean: number(age.mean),
+            median: number(age.median),
+            date: formatDate(stats.date),
+          })}`}
+      </p>
+
+      <BarChart
+        id="by-subject"
+        title={t("stats.bySubject")}
+        summary={listCounts(stats.bySubject, subjectName)}
+        rows={countRows(stats.bySubject, subjectName)}
+        series={countSeries}
+      />
+      <BarChart
+        id="gender-by-subject"
+        title={t("stats.genderBySubject")}
+        summary={stats.genderBySubject
+          .map(({ value, counts }) =>
+            t("stats.count", {
+              value: subjectName(value),
+              count: genders
+                .map((gender) =>
+                  t("stats.genderCount", {
+                    count: counts[gender],
+                    gender: genderName(gender),
+                  })
+                )
+                .join(", "),
+            })
+          )
+          .join("; ")}
+        rows={stats.genderBySubject.map(({ value, counts }) => ({
+          label: subjectName(value),
+          values: genders.map((gender) => counts[gender]),
+        }))}
+        series={genderSeries}
+      />
+      <BarChart
+        id="age-distribution"
+        title={t("stats.ageDistribution")}
+        summary={listCounts(stats.ageDistribution, years)}
+        rows={countRows(stats.ageDistribution)}
+        series={countSeries}
+      />
+      <BarChart
+        id="by-city"
+        title={t("stats.byCity")}
+        summary={listCounts(stats.byCity)}
+        rows={countRows(stats.byCity)}
+        series={countSeries}
+      />
+    </>
+  );
+}
@@ -29,12 +29,25 @@
  */
 
 import Link from "next/link";
+import useTranslation from "../hooks/useTranslation";
+import { slugify } from "../utils/slug";
 
+function daysUntil(days, t) {
+  if (days === 0) return t("studentCard.today");
+  if (days === 1) return t("studentCard.tomorrow");
+  return t("studentCard.inDays", { days });
+}
+
+// `birthday` holds the fields from birthdayDetails (utils/dates.js). Pages
+// compute it on the server, so the rendered age matches the HTML.
 export default function StudentCard({
   student,
+  birthday,
   linkBase = "/students/idfilterssr",
 }) {
-  if (!student) return <p>No student found.</p>;
+  const { t, formatDate, subjectName, genderName } = useTranslation();
+
+  if (!student) return <p>{t("studentCard.empty")}</p>;
 
   return (
     <div
@@ -48,12 +61,42 @@ export default function StudentCard({
       <h3>
         {student.firstname} {student.lastname}
       </h3>
-      <p>Gender: {student.gender}</p>
-      <p>Birthdate: {student.birthdate}</p>
-      <p>Study Subject: {student.studysubject}</p>
-      <p>City: {student.city}</p>
-      <p>ID: {student.ID}</p>
-      <Link href={`${linkBase}/${student.ID}`}>View Details</Link>
+      <p>{t("studentCard.gender", { value: genderName(student.gender) })}</p>
+      <p>
+        {t("studentCard.birthdate", { value: formatDate(student.birthdate) })}
+      </p>
+      {birthday && (
+        <>
+          <p>{t("studentCard.age", { value: birthday.age })}</p>
+          <p>
+            {t("studentCard.nextBirthday", {
+              date: formatDate(birthday.nextBirthday),
+              when: daysUntil(birthday.daysUntilBirthday, t),
+              age: birthday.turning,
+            })}
+          </p>
+        </>
+      )}
+      <p>
+        {t("studentCard.studySubject", {
+          value: subjectName(student.studysubject),
+        })}
+      </p>
+      <p>
+        {t("studentCard.city", {
+          value: (
+            <Link href={`/students/city/${slugify(student.city)}`}>
+              {student.city}
+            </Link>
+          ),
+        })}
+      </p>
+      <p>{t("studentCard.id", { value: student.ID })}</p>
+      <Link href={`${linkBase}/${student.ID}`}>
+        {t("studentCard.viewDetails")}
+      </Link>
+      {" · "}
+      <Link href={`/students/${student.ID}/edit`}>{t("studentCard.edit")}</Link>
     </div>
   );
 }
@@ -0,0 +1,282 @@
+/*
+ * StudentForm.js - Form for creating and editing a student
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import { useRouter } from "next/router";
+import { useEffect, useRef, useState } from "react";
+import useTranslation from "../hooks/useTranslation";
+import { toIsoDate } from "../utils/dates";
+import {
+  GENDERS,
+  STUDENT_FIELDS,
+  SUBJECTS,
+  validateStudent,
+} from "../utils/studentSchema";
+
+const inputStyle = {
+  display: "block",
+  width: "100%",
+  padding: "8px",
+  borderRadius: "4px",
+  border: "1px solid #ccc",
+};
+
+function emptyStudent() {
+  return Object.fromEntries(STUDENT_FIELDS.map((field) => [field, ""]));
+}
+
+// Field errors sent by the API ({ error: { code, details } }), or a message
+// for the whole form
+function serverErrors(status, body, values, t) {
+  const error = body?.error;
+  if (status === 409)
+    return { ID: t("studentForm.idTaken", { id: values.ID }) };
+  if (error?.code === "VALIDATION_FAILED" && error.details) {
+    return error.details;
+  }
+  return { _: error?.message || t("studentForm.saveFailed", { status }) };
+}
+
+// Whether a click on a link would open another page of this app in the
+// current tab, as Next.js' Link does
+function isClientNavigation(event, link) {
+  if (event.button !== 0 || event.defaultPrevented) return false;
+  if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+    return false;
+  }
+  if (
+    (link.target && link.target !== "_self") ||
+    link.hasAttribute("download")
+  ) {
+    return false;
+  }
+  const url = new URL(link.href, window.location.href);
+  return (
+    url.origin === window.location.origin &&
+    url.pathname + url.search !==
+      window.location.pathname + window.location.search
+  );
+}
+
+// Warns before leaving the page while the form has unsaved changes: when
+// closing or reloading the tab, following a link, or going Back or Forward.
+// Next.js cannot cancel a client-side navigation once it has started, so
+// link clicks are caught before Link handles them, and a cancelled Back or
+// Forward puts the form's history entry back (which drops the Forward
+// history). Navigation from code, e.g. the redirect after saving, is not
+// intercepted.
+function useUnsavedChangesWarning(dirty, message) {
+  const router = useRouter();
+
+  useEffect(() => {
+    if (!dirty) return;
+    const entry = window.history.state;
+    const url = window.location.href;
+
+    const onBeforeUnload = (event) => {
+      event.preventDefault();
+      event.returnValue = message;
+    };
+    // Capture phase on the document, so this runs before Link's onClick
+    const onClick = (event) => {
+      const link = event.target.closest?.("a[href]");
+      if (!link || !isClientNavigation(event, link)) return;
+      if (window.confirm(message)) return;
+      event.preventDefault();
+      event.stopPropagation();
+    };
+
+    window.addEventListener("beforeunload", onBeforeUnload);
+    document.addEventListener("click", onClick, true);
+    // The browser has already changed the URL when this runs
+    router.beforePopState(() => {
+      if (window.confirm(message)) return true;
+      window.history.pushState(entry, "", url);
+      return false;
+    });
+    return () => {
+      window.removeEventListener("beforeunload", onBeforeUnload);
+      document.removeEventListener("click", onClick, true);
+      router.beforePopState(() => true);
+    };
+  }, [dirty, message, router]);
+}
+
+// Form for all student fields. Without `student` it creates one (POST
+// /api/students, the ID may be left blank), otherwise it replaces that
+// student (PUT /api/students/[ID]). The rules from utils/studentSchema.js run
+// before submitting, and the API checks them again. On success it opens the
+// student's detail page.
+export default function StudentForm({ student, cities = [] }) {
+  const router = useRouter();
+  const { t, genderName, subjectName, validationMessage } = useTranslation();
+  const isNew = !student;
+  const initial = useRef(student || emptyStudent());
+  const [values, setValues] = useState(initial.current);
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const dirty = STUDENT_FIELDS.some(
+    (field) => values[field] !== initial.current[field]
+  );
+  useUnsavedChangesWarning(dirty, t("studentForm.unsaved"));
+
+  const change = (field) => (event) => {
+    setValues({ ...values, [field]: event.target.value });
+    // Clear the field's message once it is edited
+    if (errors[field]) setErrors({ ...errors, [field]: undefined });
+  };
+
+  const submit = async (event) => {
+    event.preventDefault();
+    const data = { ...values };
+    if (isNew && !data.ID.trim()) delete data.ID;
+    const { value, errors: fieldErrors } = validateStudent(data);
+    if (fieldErrors) {
+      setErrors(fieldErrors);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await fetch(
+        isNew ? "/api/students" : `/api/students/${student.ID}`,
+        {
+          method: isNew ? "POST" : "PUT",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(value),
+        }
+      );
+      const body = await response.json().catch(() => null);
+      if (!response.ok) {
+        setErrors(serverErrors(response.status, body, value, t));
+        return;
+      }
+      router.push(`/students/idfilterssr/${body.student.ID}`);
+    } catch (error) {
+      setErrors({ _: error.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const field = (name, input) => (
+    <div key={name} style={{ marginBottom: "16px" }}>
+      <label
+        htmlFor={name}
+        style={{ display: "block", marginBottom: "4px", fontWeight: "bold" }}
+      >
+        {t(`fields.${name}`)}
+      </label>
+      {input({
+        id: name,
+        name,
+        value: values[name],
+        onChange: change(name),
+        "aria-invalid": Boolean(errors[name]),
+        "aria-describedby": errors[name] ? `${name}-error` : undefined,
+        style: {
+          ...inputStyle,
+          borderColor: errors[name] ? "#d93025" : "#ccc",
+        },
+      })}
+      {errors[name] && (
+        <p
+          id={`${name}-error`}
+          style={{ color: "#d93025", marginTop: "4px", fontSize: "0.9rem" }}
+        >
+          {t("studentForm.fieldError", {
+            field: t(`fields.${name}`),
+            message: validationMessage(errors[name]),
+          })}
+        </p>
+      )}
+    </div>
+  );
+
+  return (
+    <form onSubmit={submit} noValidate>
+      {errors._ && (
+        <p role="alert" style={{ color: "#d93025", marginBottom: "16px" }}>
+          {errors._}
+        </p>
+      )}
+
+      {isNew &&
+        field("ID", (props) => (
+          <input {...props} placeholder={t("studentForm.idPlaceholder")} />
+        ))}
+      {field("firstname", (props) => (
+        <input {...props} autoComplete="given-name" />
+      ))}
+      {field("lastname", (props) => (
+        <input {...props} autoComplete="family-name" />
+      ))}
+      {field("gender", (props) => (
+        <select {...props}>
+          <option value="">{t("studentForm.select")}</option>
+          {GENDERS.map((gender) => (
+            <option key={gender} value={gender}>
+              {genderName(gender)}
+            </option>
+          ))}
+        </select>
+      ))}
+      {field("birthdate", (props) => (
+        <input {...props} type="date" max={toIsoDate(new Date())} />
+      ))}
+      {field("studysubject", (props) => (
+        <select {...props}>
+          <option value="">{t("studentForm.select")}</option>
+          {SUBJECTS.map((subject) => (
+            <option key={subject} value={subject}>
+              {subjectName(subject)}
+            </option>
+          ))}
+        </select>
+      ))}
+      {field("city", (props) => (
+        <input {...props} list="city-options" />
+      ))}
+      <datalist id="city-options">
+        {cities.map((city) => (
+          <option key={city} value={city} />
+        ))}
+      </datalist>
+
+      <button type="submit" disabled={saving} style={{ padding: "8px 16px" }}>
+        {saving
+          ? t("studentForm.saving")
+          : isNew
+            ? t("studentForm.create")
+            : t("studentForm.save")}
+      </button>
+    </form>
+  );
+}
@@ -29,16 +29,24 @@
  */
 
 import Link from "next/link";
+import useTranslation from "../hooks/useTranslation";
+import Highlight from "./Highlight";
 
+// `matches` optionally maps student IDs to the search match ranges of each
+// field (see utils/search.js), which are then highlighted
 export default function StudentList({
   students,
   linkBase = "/students/idfilterssr",
+  matches,
 }) {
-  if (!students || students.length === 0) return <p>No students found.</p>;
+  const { t } = useTranslation();
+
+  if (!students || students.length === 0)
+    return <p>{t("studentList.empty")}</p>;
 
   return (
     <div style={{ paddingTop: "40px", maxWidth: "800px", margin: "0 auto" }}>
-      <h2>Matching Students</h2>
+      <h2>{t("studentList.title")}</h2>
       <div
         style={{
           display: "grid",
@@ -48,25 +56,40 @@ export default function StudentList({
           listStyle: "none",
         }}
       >
-        {students.map((student) => (
-          <div key={student.ID} style={{ margin: "8px 0" }}>
-            <Link
-              href={`${linkBase}/${student.ID}`}
-              style={{
-                color: "#1a73e8", // Distinct blue color for visibility
-                textDecoration: "underline", // Underline to indicate it's a link
-                display: "block", // Ensures the link takes the full width
-                overflow: "hidden", // Prevents overflow in fixed-width column
-                textOverflow: "ellipsis", // Truncates long text
-                whiteSpace: "nowrap", // Keeps text in a single line
-              }}
-            >
-              {student.firstname}
-              <br /> {student.lastname}
-              <br /> ({student.ID})
-            </Link>
-          </div>
-        ))}
+        {students.map((student) => {
+          const ranges = matches?.[student.ID] || {};
+          return (
+            <div key={student.ID} style={{ margin: "8px 0" }}>
+              <Link
+                href={`${linkBase}/${student.ID}`}
+                style={{
+                  color: "#1a73e8", // Distinct blue color for visibility
+                  textDecoration: "underline", // Underline to indicate it's a link
+                  display: "block", // Ensures the link takes the full width
+                  overflow: "hidden", // Prevents overflow in fixed-width column
+                  textOverflow: "ellipsis", // Truncates long text
+                  whiteSpace: "nowrap", // Keeps text in a single line
+                }}
+              >
+                <Highlight text={student.firstname} ranges={ranges.firstname} />
+                <br />{" "}
+                <Highlight text={student.lastname} ranges={ranges.lastname} />
+                <br /> (<Highlight text={student.ID} ranges={ranges.ID} />)
+              </Link>
+              {/* Show the other fields only when the search matched them */}
+              {["city", "studysubject"]
+                .filter((field) => ranges[field])
+                .map((field) => (
+                  <div
+                    key={field}
+                    style={{ fontSize: "0.8rem", color: "#555" }}
+                  >
+                    <Highlight text={student[field]} ranges={ranges[field]} />
+                  </div>
+                ))}
+            </div>
+          );
+        })}
       </div>
     </div>
   );
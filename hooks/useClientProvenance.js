@@ -0,0 +1,53 @@
+/*
+ * useClientProvenance.js - Reports data fetched in the browser to the provenance badge
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import { createContext, useContext, useEffect } from "react";
+import { hashData } from "../utils/provenance";
+
+// Set by components/Layout.js; pages without the layout report to nobody
+export const ClientProvenanceContext = createContext(() => {});
+
+// Reports data fetched in the browser to the provenance badge, for pages
+// without a data function (CSR). `fetchedAt` is the ISO time the data
+// arrived; nothing is reported until there is data.
+export default function useClientProvenance(data, fetchedAt) {
+  const report = useContext(ClientProvenanceContext);
+
+  useEffect(() => {
+    if (data === undefined) return;
+    report({
+      mode: "CSR",
+      fetchedDuring: "client",
+      fetchedAt,
+      hash: hashData(data),
+    });
+    return () => report(null);
+  }, [report, data, fetchedAt]);
+}
@@ -0,0 +1,147 @@
+/*
+ * useFetch.js - Client-side data fetching hook with caching
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import { useCallback, useEffect, useState } from "react";
+
+// Last successful response per URL ({ data, fetchedAt }), kept for the
+// lifetime of the page so revisiting a filter renders immediately while it
+// is refreshed
+const cache = new Map();
+
+// Requests currently running per URL, shared by every component asking for
+// the same URL at the same time
+const inflight = new Map();
+
+// Error for non-2xx responses, carrying the API's { error: { code, message } }
+class FetchError extends Error {
+  constructor(status, body) {
+    super(body?.error?.message || `Request failed with status ${status}`);
+    this.name = "FetchError";
+    this.status = status;
+    this.code = body?.error?.code;
+  }
+}
+
+// Joins a running request for the URL or starts one. The request is aborted
+// once every component using it has released it.
+function request(url) {
+  let entry = inflight.get(url);
+  if (!entry) {
+    const controller = new AbortController();
+    entry = { controller, consumers: 0 };
+    entry.promise = fetch(url, { signal: controller.signal })
+      .then(async (response) => {
+        const body = await response.json().catch(() => null);
+        if (!response.ok) throw new FetchError(response.status, body);
+        const result = { data: body, fetchedAt: new Date().toISOString() };
+        cache.set(url, result);
+        return result;
+      })
+      .finally(() => {
+        if (inflight.get(url) === entry) inflight.delete(url);
+      });
+    inflight.set(url, entry);
+  }
+
+  const shared = entry;
+  shared.consumers += 1;
+  let released = false;
+  return {
+    promise: shared.promise,
+    release() {
+      if (released) return;
+      released = true;
+      shared.consumers -= 1;
+      if (shared.consumers === 0) {
+        // Later requests for the URL must not join the aborted one
+        if (inflight.get(url) === shared) inflight.delete(url);
+        shared.controller.abort();
+      }
+    },
+  };
+}
+
+function cachedState(url) {
+  const { data, fetchedAt } = (url && cache.get(url)) || {};
+  return {
+    data,
+    fetchedAt,
+    error: null,
+    isLoading: Boolean(url) && data === undefined,
+    isValidating: Boolean(url),
+  };
+}
+
+// Fetches JSON from `url` in the browser (stale-while-revalidate): cached data
+// is returned straight away and refreshed in the background. Pass null to
+// wait, e.g. until the router is ready. A change of URL aborts the previous
+// request. `fetchedAt` is the ISO time the data shown was received.
+export default function useFetch(url) {
+  const [state, setState] = useState(() => cachedState(url));
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    setState(cachedState(url));
+    if (!url) return;
+
+    let active = true;
+    const { promise, release } = request(url);
+    promise.then(
+      ({ data, fetchedAt }) => {
+        if (!active) return;
+        setState({
+          data,
+          fetchedAt,
+          error: null,
+          isLoading: false,
+          isValidating: false,
+        });
+      },
+      (error) => {
+        if (!active || error.name === "AbortError") return;
+        // Keep showing the stale data next to the error
+        setState((previous) => ({
+          ...previous,
+          error,
+          isLoading: false,
+          isValidating: false,
+        }));
+      }
+    );
+    return () => {
+      active = false;
+      release();
+    };
+  }, [url, attempt]);
+
+  const retry = useCallback(() => setAttempt((count) => count + 1), []);
+
+  return { ...state, retry };
+}
@@ -0,0 +1,65 @@
+/*
+ * useTranslation.js - Translation hook for the current locale
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import { useRouter } from "next/router";
+import { useMemo } from "react";
+import {
+  DEFAULT_LOCALE,
+  formatDate,
+  formatDateTime,
+  formatMonth,
+  formatRelativeTime,
+  genderName,
+  subjectName,
+  translate,
+  validationMessage,
+} from "../utils/i18n";
+
+// The translation helpers from utils/i18n.js bound to the current locale of
+// Next.js i18n routing (/students/csr or /de/students/csr)
+export default function useTranslation() {
+  const { locale = DEFAULT_LOCALE } = useRouter();
+
+  return useMemo(
+    () => ({
+      locale,
+      t: (key, params) => translate(locale, key, params),
+      formatDate: (isoDate) => formatDate(isoDate, locale),
+      formatDateTime: (isoTimestamp, timeZone) =>
+        formatDateTime(isoTimestamp, locale, timeZone),
+      formatMonth: (month) => formatMonth(month, locale),
+      formatRelativeTime: (seconds) => formatRelativeTime(seconds, locale),
+      subjectName: (subject) => subjectName(subject, locale),
+      genderName: (gender) => genderName(gender, locale),
+      validationMessage: (message) => validationMessage(message, locale),
+    }),
+    [locale]
+  );
+}
@@ -1,6 +1,11 @@
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   reactStrictMode: true,
+  // Keep in sync with LOCALES and DEFAULT_LOCALE in utils/i18n.js
+  i18n: {
+    locales: ["en", "de"],
+    defaultLocale: "en",
+  },
 };
 
 export default nextConfig;
@@ -1,5 +1,17 @@
 import "@/styles/globals.css";
+import Layout from "../components/Layout";
+import { reportMetric } from "../utils/webVitals";
 
 export default function App({ Component, pageProps }) {
-  return <Component {...pageProps} />;
+  return (
+    <Layout provenance={pageProps.provenance}>
+      <Component {...pageProps} />
+    </Layout>
+  );
+}
+
+// Called by Next.js with Web Vitals and its own hydration and navigation
+// timings, which the /metrics page compares per rendering strategy
+export function reportWebVitals(metric) {
+  reportMetric(metric);
 }
@@ -1,8 +1,9 @@
 import { Html, Head, Main, NextScript } from "next/document";
+import { recordRender } from "../utils/metrics";
 
 export default function Document() {
   return (
-    <Html lang="en">
+    <Html>
       <Head />
       <body>
         <Main />
@@ -11,3 +12,12 @@ export default function Document() {
     </Html>
   );
 }
+
+// Times the server render of every page, at build time for static pages and
+// per request or regeneration otherwise
+Document.getInitialProps = async (ctx) => {
+  const start = performance.now();
+  const initialProps = await ctx.defaultGetInitialProps(ctx);
+  recordRender(ctx.pathname, performance.now() - start);
+  return initialProps;
+};
@@ -0,0 +1,101 @@
+/*
+ * metrics.js - API route collecting and listing rendering timings
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import { allowMethods, sendError } from "../../utils/api";
+import { isAuthorized } from "../../utils/auth";
+import { clearMetrics, readMetrics, recordMetrics } from "../../utils/metrics";
+import { CLIENT_METRICS, COMPARED_PAGES } from "../../utils/webVitals";
+
+// Limit on what a browser may report at once
+const MAX_BATCH = 50;
+
+// Checks one metric sent by utils/webVitals.js; returns an error message or
+// null
+function metricError(metric) {
+  if (!metric || typeof metric !== "object") return "must be an object";
+  const { page, name, value } = metric;
+  if (!COMPARED_PAGES.includes(page)) {
+    return `page must be one of ${COMPARED_PAGES.join(", ")}`;
+  }
+  if (!CLIENT_METRICS.includes(name)) {
+    return `name must be one of ${CLIENT_METRICS.join(", ")}`;
+  }
+  if (typeof value !== "number" || !Number.isFinite(value) || value < 0) {
+    return "value must be a number of at least 0";
+  }
+  return null;
+}
+
+// POST /api/metrics - one metric { page, name, value } or an array of them,
+// as sent by reportWebVitals in _app.js
+function addMetrics(req, res) {
+  const metrics = [].concat(req.body ?? []);
+  if (metrics.length === 0 || metrics.length > MAX_BATCH) {
+    return sendError(res, 400, "VALIDATION_FAILED", "Invalid metrics", {
+      body: `must hold 1 to ${MAX_BATCH} metrics`,
+    });
+  }
+  const errors = {};
+  metrics.forEach((metric, index) => {
+    const error = metricError(metric);
+    if (error) errors[index] = error;
+  });
+  if (Object.keys(errors).length > 0) {
+    return sendError(res, 400, "VALIDATION_FAILED", "Invalid metrics", errors);
+  }
+
+  recordMetrics(
+    metrics.map(({ page, name, value }) => ({
+      page,
+      name,
+      value,
+      phase: "client",
+    }))
+  );
+  res.status(204).end();
+}
+
+// GET /api/metrics lists the recorded entries (see utils/metrics.js),
+// POST adds browser metrics and DELETE clears them all, which needs the
+// REVALIDATE_SECRET like /api/revalidate
+export default function handler(req, res) {
+  if (!allowMethods(req, res, ["GET", "POST", "DELETE"])) return;
+
+  if (req.method === "POST") return addMetrics(req, res);
+  if (req.method === "DELETE") {
+    if (!isAuthorized(req)) {
+      return sendError(res, 401, "UNAUTHORIZED", "Invalid secret");
+    }
+    clearMetrics();
+    return res.status(204).end();
+  }
+  const metrics = readMetrics();
+  res.status(200).json({ metrics, count: metrics.length });
+}
@@ -0,0 +1,78 @@
+/*
+ * revalidate.js - API route for on-demand ISR revalidation, protected by a secret
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import { allowMethods, sendError } from "../../utils/api";
+import { isAuthorized } from "../../utils/auth";
+import { getStudentRepository } from "../../utils/repository";
+import {
+  pathsForStudentChange,
+  revalidatePaths,
+} from "../../utils/revalidation";
+
+// POST /api/revalidate
+// Body: { "ID": "S001" } regenerates the list pages plus every prerendered
+// page showing S001 as currently stored. When the change moved the student
+// to another gender, subject or city, or deleted them, also send the old
+// values: { "ID": "S001", "gender": "female", "studysubject": "Physics",
+// "city": "Munich" }.
+// Responds 200 when every page was regenerated and 207 when some failed;
+// both list the paths under `revalidated` and `failed`.
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ["POST"])) return;
+  if (!isAuthorized(req)) {
+    return sendError(res, 401, "UNAUTHORIZED", "Invalid revalidation secret");
+  }
+
+  const { ID, gender, studysubject, city } = req.body || {};
+  if (typeof ID !== "string" || !ID) {
+    return sendError(res, 400, "VALIDATION_FAILED", "Invalid request", {
+      ID: "is required",
+    });
+  }
+  const invalid = Object.entries({ gender, studysubject, city }).filter(
+    ([, value]) => value !== undefined && typeof value !== "string"
+  );
+  if (invalid.length > 0) {
+    return sendError(
+      res,
+      400,
+      "VALIDATION_FAILED",
+      "Invalid request",
+      Object.fromEntries(invalid.map(([field]) => [field, "must be a string"]))
+    );
+  }
+
+  const current = await getStudentRepository().get(ID);
+  const result = await revalidatePaths(
+    res,
+    pathsForStudentChange({ ID, gender, studysubject, city }, current)
+  );
+  res.status(result.failed.length > 0 ? 207 : 200).json(result);
+}
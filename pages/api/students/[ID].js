@@ -0,0 +1,113 @@
+/*
+ * [ID].js - API route reading, updating and deleting a single student
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import { allowMethods, firstValue, sendError } from "../../../utils/api";
+import { birthdayDetails, parseIsoDate } from "../../../utils/dates";
+import { getStudentRepository } from "../../../utils/repository";
+import { revalidateStudentChange } from "../../../utils/revalidation";
+import {
+  STUDENT_FIELDS,
+  validateStudent,
+  validationError,
+} from "../../../utils/studentSchema";
+
+// PUT replaces every field, PATCH only the ones sent. Either way the ID in
+// the URL wins; a different ID in the body is rejected rather than renaming.
+// A request that changes nothing is answered without writing or
+// regenerating any page.
+async function updateStudent(req, res, existing) {
+  const partial = req.method === "PATCH";
+  const { value, errors } = validateStudent(req.body, { partial });
+  if (errors) {
+    return sendError(res, 400, "VALIDATION_FAILED", "Invalid student", errors);
+  }
+  if (value.ID && value.ID !== existing.ID) {
+    return sendError(res, 400, "VALIDATION_FAILED", "Invalid student", {
+      ID: validationError("fixed"),
+    });
+  }
+
+  const record = { ...(partial ? existing : {}), ...value };
+  const unchanged = STUDENT_FIELDS.every(
+    (field) => field === "ID" || record[field] === existing[field]
+  );
+  if (unchanged) {
+    return res.status(200).json({ student: existing });
+  }
+
+  const student = await getStudentRepository().update(existing.ID, record);
+  await revalidateStudentChange(res, existing, student);
+  res.status(200).json({ student });
+}
+
+// GET responds with the student and the fields derived from the birthdate
+// (see birthdayDetails), as of today or the date given by ?on=YYYY-MM-DD
+function getStudent(req, res, student) {
+  const on = firstValue(req.query.on);
+  const date = on === undefined ? new Date() : parseIsoDate(on);
+  if (!date) {
+    return sendError(res, 400, "INVALID_QUERY", "Invalid query", {
+      on: "must be a date (YYYY-MM-DD)",
+    });
+  }
+  res.status(200).json({
+    student,
+    birthday: birthdayDetails(student.birthdate, date),
+  });
+}
+
+// GET, PUT, PATCH, DELETE /api/students/[ID]
+// Unlike /api/revalidate, the writes need no secret: StudentForm and the
+// import page call them from the browser, which has no way to keep one. Each
+// write only regenerates the pages of the students it touched (see
+// utils/revalidation.js); put the write routes behind authentication before
+// exposing the app publicly.
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ["GET", "PUT", "PATCH", "DELETE"])) return;
+
+  const { ID } = req.query;
+  const repository = getStudentRepository();
+  const student = await repository.get(ID);
+  if (!student) {
+    return sendError(res, 404, "NOT_FOUND", `Student ${ID} not found`);
+  }
+
+  switch (req.method) {
+    case "PUT":
+    case "PATCH":
+      return updateStudent(req, res, student);
+    case "DELETE":
+      await repository.delete(ID);
+      await revalidateStudentChange(res, student, null);
+      return res.status(204).end();
+    default:
+      return getStudent(req, res, student);
+  }
+}
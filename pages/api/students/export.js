@@ -0,0 +1,106 @@
+/*
+ * export.js - API route exporting filtered students as CSV, JSON or XLSX
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import { allowMethods, firstValue, sendError } from "../../../utils/api";
+import { toCsv, UTF8_BOM } from "../../../utils/csv";
+import { parseFilterQuery } from "../../../utils/query";
+import { getStudentRepository } from "../../../utils/repository";
+import { STUDENT_FIELDS } from "../../../utils/studentSchema";
+import { toXlsx } from "../../../utils/xlsx";
+
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    write: (students, columns) => UTF8_BOM + toCsv(students, columns),
+  },
+  json: {
+    contentType: "application/json; charset=utf-8",
+    write: (students, columns) =>
+      JSON.stringify(
+        students.map((student) =>
+          Object.fromEntries(columns.map((column) => [column, student[column]]))
+        ),
+        null,
+        2
+      ),
+  },
+  xlsx: {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    write: toXlsx,
+  },
+};
+
+// Columns may be repeated (?columns=ID&columns=city) or comma-separated
+function parseColumns(value) {
+  if (value === undefined) return { columns: STUDENT_FIELDS };
+  const columns = [value]
+    .flat()
+    .flatMap((entry) => entry.split(","))
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+  const unknown = columns.filter((column) => !STUDENT_FIELDS.includes(column));
+  if (columns.length === 0 || unknown.length > 0) {
+    return { error: `must be a list of: ${STUDENT_FIELDS.join(", ")}` };
+  }
+  // Keep the requested order, without duplicates
+  return { columns: [...new Set(columns)] };
+}
+
+// GET /api/students/export?format=csv|json|xlsx&columns=ID,lastname,...
+// Exports every student matching the filters of /api/students (gender,
+// subject, city, q, sort, ...) as a download. Paging parameters are ignored.
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ["GET"])) return;
+
+  const { filter, errors: filterErrors } = parseFilterQuery(req.query);
+  const errors = { ...filterErrors };
+  const format = firstValue(req.query.format) || "csv";
+  if (!EXPORT_FORMATS[format]) {
+    errors.format = `must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`;
+  }
+  const { columns, error: columnsError } = parseColumns(req.query.columns);
+  if (columnsError) errors.columns = columnsError;
+  if (Object.keys(errors).length > 0) {
+    return sendError(res, 400, "INVALID_QUERY", "Invalid query", errors);
+  }
+
+  delete filter.page;
+  delete filter.pageSize;
+  const { results } = await getStudentRepository().query(filter);
+
+  const { contentType, write } = EXPORT_FORMATS[format];
+  res.setHeader("Content-Type", contentType);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="students.${format}"`
+  );
+  res.status(200).send(write(results, columns));
+}
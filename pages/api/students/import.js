@@ -0,0 +1,115 @@
+/*
+ * import.js - API route importing students from CSV or JSON
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import { allowMethods, firstValue, sendError } from "../../../utils/api";
+import {
+  IMPORT_FORMATS,
+  planImport,
+  readImportRows,
+  summarizePlan,
+} from "../../../utils/importStudents";
+import { getStudentRepository } from "../../../utils/repository";
+import { revalidateStudentChange } from "../../../utils/revalidation";
+
+// A semester's worth of students fits easily; Next.js defaults to 1mb
+export const config = {
+  api: { bodyParser: { sizeLimit: "10mb" } },
+};
+
+function requestFormat(req) {
+  const format = firstValue(req.query.format);
+  if (format) return format;
+  return (req.headers["content-type"] || "").includes("json") ? "json" : "csv";
+}
+
+// POST /api/students/import[?commit=true][&format=csv|json]
+// The body is CSV with a header row (Content-Type: text/csv) or JSON (an
+// array of students or { students: [...] }). Without commit=true nothing is
+// written and the response is the plan from planImport. With it, new and
+// updated rows are written as well; duplicate, invalid and unchanged rows are
+// always skipped.
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ["POST"])) return;
+
+  const format = requestFormat(req);
+  if (!IMPORT_FORMATS.includes(format)) {
+    return sendError(res, 400, "INVALID_QUERY", "Invalid query", {
+      format: `must be one of: ${IMPORT_FORMATS.join(", ")}`,
+    });
+  }
+
+  let rows;
+  try {
+    rows = readImportRows(req.body, format);
+  } catch (error) {
+    return sendError(res, 400, "INVALID_IMPORT", error.message);
+  }
+
+  const repository = getStudentRepository();
+  const plan = planImport(rows, await repository.list());
+  const commit = firstValue(req.query.commit) === "true";
+  if (!commit) {
+    return res
+      .status(200)
+      .json({ committed: false, summary: summarizePlan(plan), ...plan });
+  }
+
+  // Writes one record at a time, so a failure (e.g. an ID taken by a
+  // concurrent request) skips only that row
+  const created = [];
+  const updated = [];
+  const failed = [];
+  for (const { row, student } of plan.create) {
+    const record = await repository.create(student);
+    if (record) created.push(record);
+    else failed.push({ row, reason: `ID ${student.ID} is already taken` });
+  }
+  for (const { row, student, previous } of plan.update) {
+    const record = await repository.update(student.ID, student);
+    if (record) updated.push({ previous, record });
+    else failed.push({ row, reason: `Student ${student.ID} no longer exists` });
+  }
+
+  if (created.length > 0 || updated.length > 0) {
+    await revalidateStudentChange(
+      res,
+      ...created,
+      ...updated.flatMap(({ previous, record }) => [previous, record])
+    );
+  }
+  res.status(200).json({
+    committed: true,
+    summary: summarizePlan(plan),
+    ...plan,
+    created,
+    updated: updated.map(({ record }) => record),
+    failed,
+  });
+}
@@ -0,0 +1,81 @@
+/*
+ * index.js - API route listing and creating students
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import { allowMethods, sendError } from "../../../utils/api";
+import { timeApiHandler } from "../../../utils/metrics";
+import { getStudentRepository } from "../../../utils/repository";
+import { revalidateStudentChange } from "../../../utils/revalidation";
+import { parseFilterQuery } from "../../../utils/query";
+import { validateStudent } from "../../../utils/studentSchema";
+
+// GET /api/students?gender=&subject=&city=&name=&q=&birthdateFrom=
+//   &birthdateTo=&minAge=&maxAge=&sort=&order=&page=&pageSize=
+// See utils/query.js for the parameters. `total` counts all matches, while
+// `count` only counts the ones on the requested page. Timed as the data
+// fetching of csr.js for the rendering comparison on /metrics.
+const listStudents = timeApiHandler("/api/students", async (req, res) => {
+  const { filter, errors } = parseFilterQuery(req.query);
+  if (errors) {
+    return sendError(res, 400, "INVALID_QUERY", "Invalid query", errors);
+  }
+  const { results, total } = await getStudentRepository().query(filter);
+
+  res.status(200).json({ students: results, count: results.length, total });
+});
+
+// POST /api/students - the ID is generated unless the body supplies one.
+// Open to anyone, like the other write routes (see [ID].js).
+async function createStudent(req, res) {
+  const { value, errors } = validateStudent(req.body);
+  if (errors) {
+    return sendError(res, 400, "VALIDATION_FAILED", "Invalid student", errors);
+  }
+
+  const student = await getStudentRepository().create(value);
+  if (!student) {
+    return sendError(
+      res,
+      409,
+      "CONFLICT",
+      `Student ${value.ID} already exists`
+    );
+  }
+
+  await revalidateStudentChange(res, null, student);
+  res.setHeader("Location", `/api/students/${student.ID}`);
+  res.status(201).json({ student });
+}
+
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ["GET", "POST"])) return;
+
+  if (req.method === "POST") return createStudent(req, res);
+  return listStudents(req, res);
+}
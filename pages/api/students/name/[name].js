@@ -0,0 +1,52 @@
+/*
+ * [name].js - API route listing the students with a first or last name
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import { allowMethods, sendError } from "../../../../utils/api";
+import { findStudentsByName } from "../../../../utils/nameLookup";
+
+// GET /api/students/name/[name] - the students whose first or last name is
+// `name` (ignoring case), sorted by last and first name. The query behind
+// /students/name/[name]; responds 400 for a blank name and 404 when no
+// student has the name.
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ["GET"])) return;
+
+  const name = req.query.name.trim();
+  if (!name) {
+    return sendError(res, 400, "INVALID_QUERY", "Invalid query", {
+      name: "must not be blank",
+    });
+  }
+  const { results, total } = await findStudentsByName(name);
+  if (total === 0) {
+    return sendError(res, 404, "NOT_FOUND", `No student named ${name}`);
+  }
+  res.status(200).json({ students: results, count: results.length, total });
+}
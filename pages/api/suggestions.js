@@ -0,0 +1,75 @@
+/*
+ * suggestions.js - API route suggesting pages close to a URL that failed
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import { allowMethods, firstValue, sendError } from "../../utils/api";
+import { computeFacets, facetValues } from "../../utils/facets";
+import { DEFAULT_LOCALE, LOCALES } from "../../utils/i18n";
+import { getStudentRepository } from "../../utils/repository";
+import { slugify } from "../../utils/slug";
+import { suggestForPath } from "../../utils/suggest";
+
+// GET /api/suggestions?path=/students/idfilterssr/S0001[&locale=de]
+// The pages closest to a path that does not exist, with labels in the
+// locale: { suggestions: [{ href, label }] }. Used by the custom 404 and 500
+// pages, which are prerendered without knowing the failed URL and would
+// otherwise have to embed every student to match against.
+export default async function handler(req, res) {
+  if (!allowMethods(req, res, ["GET"])) return;
+
+  const path = firstValue(req.query.path);
+  const locale = firstValue(req.query.locale) || DEFAULT_LOCALE;
+  const errors = {};
+  if (typeof path !== "string" || !path.startsWith("/")) {
+    errors.path = "must be a path starting with /";
+  }
+  if (!LOCALES.includes(locale)) {
+    errors.locale = `must be one of: ${LOCALES.join(", ")}`;
+  }
+  if (Object.keys(errors).length > 0) {
+    return sendError(res, 400, "INVALID_QUERY", "Invalid query", errors);
+  }
+
+  const students = await getStudentRepository().list();
+  const facets = computeFacets(students);
+  const suggestions = suggestForPath(
+    path,
+    {
+      students,
+      genders: facetValues(facets.gender),
+      subjects: facetValues(facets.subject),
+      cities: facetValues(facets.city).map((city) => ({
+        city,
+        slug: slugify(city),
+      })),
+    },
+    locale
+  );
+  res.status(200).json({ suggestions });
+}
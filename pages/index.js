@@ -29,15 +29,126 @@
  */
 
 import Link from "next/link";
+import useTranslation from "../hooks/useTranslation";
+import { getFacets } from "../utils/facets";
+import { withStaticProvenance } from "../utils/provenance";
 
-export async function getStaticProps() {
-  // No dynamic data needed for the index page, but included for SSG consistency
-  return {
-    props: {}, // Could pass static data if needed
-  };
+// The demo routes per rendering method. Titles and descriptions come from
+// the "index.items" messages; `note` names the student an example shows.
+const SECTIONS = [
+  {
+    key: "ssr",
+    items: [
+      {
+        key: "ssrSingleDynamic",
+        examples: [
+          { href: "/students/idfilterssr/S001", note: "Anna Schmidt" },
+        ],
+      },
+      {
+        key: "ssrNameLookup",
+        examples: [
+          { href: "/students/name/Schmidt", note: "Anna Schmidt" },
+          { href: "/students/name/Weber" },
+        ],
+      },
+      {
+        key: "ssrNestedDynamic",
+        examples: [{ href: "/students/gsnestedssr/female/Physics" }],
+      },
+      {
+        key: "ssrQueryParameters",
+        examples: [{ href: "/students/all?sort=lastname&order=asc" }],
+      },
+      {
+        key: "ssrSearch",
+        examples: [{ href: "/students/search?q=muller", note: "Ben Müller" }],
+      },
+      { key: "ssrStatistics", examples: [{ href: "/students/stats" }] },
+      { key: "ssrMetrics", examples: [{ href: "/metrics" }] },
+      { key: "ssrBirthdays", examples: [{ href: "/students/birthdays" }] },
+      { key: "ssrCity", examples: [{ href: "/students/cityssr/munich" }] },
+      {
+        key: "ssrCatchAll",
+        examples: [
+          { href: "/students/gscatchallssr", allStudents: true },
+          { href: "/students/gscatchallssr/female/Physics" },
+        ],
+      },
+    ],
+  },
+  {
+    key: "ssg",
+    items: [
+      { key: "ssgSingle", examples: [{ href: "/" }] },
+      {
+        key: "ssgSingleDynamic",
+        examples: [
+          { href: "/students/idfilterssg/S001", note: "Anna Schmidt" },
+        ],
+      },
+      {
+        key: "ssgNestedDynamic",
+        examples: [{ href: "/students/gsnestedssg/male/Mathematics" }],
+      },
+      {
+        key: "ssgCatchAll",
+        examples: [
+          { href: "/students/gscatchallssg", allStudents: true },
+          { href: "/students/gscatchallssg/male/Mathematics" },
+        ],
+      },
+      { key: "ssgCityDirectory", examples: [{ href: "/students/city" }] },
+      { key: "ssgCity", examples: [{ href: "/students/city/vienna" }] },
+    ],
+  },
+  {
+    key: "isr",
+    items: [
+      { key: "isrList", examples: [{ href: "/students/isr" }] },
+      { key: "isrStatistics", examples: [{ href: "/students/statsisr" }] },
+    ],
+  },
+  {
+    key: "csr",
+    items: [
+      { key: "csrFiltering", examples: [{ href: "/students/csr" }] },
+      { key: "csrInfinite", examples: [{ href: "/students/infinite" }] },
+      { key: "csrImport", examples: [{ href: "/students/import" }] },
+      { key: "csrNew", examples: [{ href: "/students/new" }] },
+    ],
+  },
+];
+
+// An example link, followed by the student it shows or "All students"
+function Example({ href, note, allStudents, linkStyle }) {
+  const { t } = useTranslation();
+  return (
+    <>
+      <Link href={href} style={linkStyle}>
+        {href}
+      </Link>
+      {note && ` (${note})`}
+      {allStudents && ` (${t("index.allStudents")})`}
+    </>
+  );
 }
 
-export default function IndexPage() {
+export const getStaticProps = withStaticProvenance(
+  async () => {
+    // The browse links are built from the genders and subjects in the data.
+    // Without a revalidate window the page stays plain SSG; the student API
+    // regenerates it on demand when the data changes (utils/revalidation.js).
+    const facets = await getFacets();
+    return {
+      props: { facets },
+    };
+  },
+  (props) => props.facets
+);
+
+export default function IndexPage({ facets }) {
+  const { t, genderName, subjectName } = useTranslation();
   const linkStyle = {
     color: "#1a73e8", // Blue color matching StudentList.js and all.js
     textDecoration: "underline", // Underline for visibility
@@ -46,18 +157,21 @@ export default function IndexPage() {
   return (
     <div style={{ padding: "24px", maxWidth: "1200px", margin: "0 auto" }}>
       <h1 style={{ fontSize: "2rem", marginBottom: "24px" }}>
-        Student Directory - Next.js Essentials: Pages Router Rendering & Routing
+        {t("index.title")}
       </h1>
       <p style={{ marginBottom: "16px" }}>
-        Welcome to the Student Directory demo showcasing{" "}
-        <a
-          href="https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering/blob/master/README.md"
-          style={linkStyle}
-          target="_blank"
-          rel="noopener noreferrer"
-        >
-          Next.js Essentials: Pages Router Rendering & Routing
-        </a>
+        {t("index.welcome", {
+          link: (
+            <a
+              href="https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering/blob/master/README.md"
+              style={linkStyle}
+              target="_blank"
+              rel="noopener noreferrer"
+            >
+              Next.js Essentials: Pages Router Rendering & Routing
+            </a>
+          ),
+        })}
       </p>
       <div
         style={{
@@ -67,156 +181,90 @@ export default function IndexPage() {
           marginBottom: "32px",
         }}
       >
-        {/* SSR Section */}
-        <section>
-          <h2 style={{ fontSize: "1.5rem", marginBottom: "16px" }}>
-            Server-Side Rendering (SSR)
-          </h2>
-          <ul style={{ listStyle: "disc", paddingLeft: "20px" }}>
-            <li style={{ marginBottom: "8px" }}>
-              <strong>Single Dynamic Route</strong>: View a single student by
-              ID.
-              <br />
-              Example:{" "}
-              <Link href="/students/idfilterssr/S001" style={linkStyle}>
-                /students/idfilterssr/S001
-              </Link>{" "}
-              (Anna Schmidt)
-            </li>
-            <li style={{ marginBottom: "8px" }}>
-              <strong>Nested Dynamic Route</strong>: List students by gender and
-              subject.
-              <br />
-              Example:{" "}
-              <Link
-                href="/students/gsnestedssr/female/Physics"
-                style={linkStyle}
-              >
-                /students/gsnestedssr/female/Physics
-              </Link>
-            </li>
-            <li>
-              <strong>Optional Catch-All Route</strong>: List students by
-              optional gender and/or subject.
-              <br />
-              Examples:
-              <ul style={{ listStyle: "circle", paddingLeft: "20px" }}>
-                <li>
-                  <Link href="/students/gscatchallssr" style={linkStyle}>
-                    /students/gscatchallssr
-                  </Link>{" "}
-                  (All students)
+        {SECTIONS.map(({ key, items }) => (
+          <section key={key}>
+            <h2 style={{ fontSize: "1.5rem", marginBottom: "16px" }}>
+              {t(`index.sections.${key}`)}
+            </h2>
+            <ul style={{ listStyle: "disc", paddingLeft: "20px" }}>
+              {items.map((item, index) => (
+                <li
+                  key={item.key}
+                  style={
+                    index < items.length - 1
+                      ? { marginBottom: "8px" }
+                      : undefined
+                  }
+                >
+                  <strong>{t(`index.items.${item.key}.title`)}</strong>:{" "}
+                  {t(`index.items.${item.key}.description`)}
+                  <br />
+                  {item.examples.length === 1 ? (
+                    <>
+                      {t("index.example")}{" "}
+                      <Example {...item.examples[0]} linkStyle={linkStyle} />
+                    </>
+                  ) : (
+                    <>
+                      {t("index.examples")}
+                      <ul style={{ listStyle: "circle", paddingLeft: "20px" }}>
+                        {item.examples.map((example) => (
+                          <li key={example.href}>
+                            <Example {...example} linkStyle={linkStyle} />
+                          </li>
+                        ))}
+                      </ul>
+                    </>
+                  )}
                 </li>
-                <li>
-                  <Link
-                    href="/students/gscatchallssr/female/Physics"
-                    style={linkStyle}
-                  >
-                    /students/gscatchallssr/female/Physics
-                  </Link>
-                </li>
-              </ul>
-            </li>
-          </ul>
-        </section>
+              ))}
+            </ul>
+          </section>
+        ))}
+      </div>
 
-        {/* SSG Section */}
-        <section>
-          <h2 style={{ fontSize: "1.5rem", marginBottom: "16px" }}>
-            Static Site Generation (SSG)
-          </h2>
-          <ul style={{ listStyle: "disc", paddingLeft: "20px" }}>
-            <li style={{ marginBottom: "8px" }}>
-              <strong>Single Prerendered URL</strong>: List all students.
-              <br />
-              Example:{" "}
-              <Link href="/students/all" style={linkStyle}>
-                /students/all
-              </Link>
-            </li>
-            <li style={{ marginBottom: "8px" }}>
-              <strong>Single Dynamic Route</strong>: View a single student by ID
-              (prerendered).
-              <br />
-              Example:{" "}
-              <Link href="/students/idfilterssg/S001" style={linkStyle}>
-                /students/idfilterssg/S001
-              </Link>{" "}
-              (Anna Schmidt)
-            </li>
-            <li style={{ marginBottom: "8px" }}>
-              <strong>Nested Dynamic Route</strong>: List students by gender and
-              subject (prerendered).
-              <br />
-              Example:{" "}
-              <Link
-                href="/students/gsnestedssg/male/Mathematics"
-                style={linkStyle}
-              >
-                /students/gsnestedssg/male/Mathematics
-              </Link>
-            </li>
-            <li>
-              <strong>Optional Catch-All Route</strong>: List students by
-              optional gender and/or subject (prerendered).
-              <br />
-              Examples:
-              <ul style={{ listStyle: "circle", paddingLeft: "20px" }}>
-                <li>
-                  <Link href="/students/gscatchallssg" style={linkStyle}>
-                    /students/gscatchallssg
-                  </Link>{" "}
-                  (All students)
-                </li>
-                <li>
+      {/* Browse Section */}
+      <section style={{ marginBottom: "32px" }}>
+        <h2 style={{ fontSize: "1.5rem", marginBottom: "16px" }}>
+          {t("index.browse.title")}
+        </h2>
+        <ul style={{ listStyle: "disc", paddingLeft: "20px" }}>
+          <li style={{ marginBottom: "8px" }}>
+            <strong>{t("index.browse.gender")}</strong>:{" "}
+            {facets.gender.map(({ value, count }, index) => (
+              <span key={value}>
+                {index > 0 && " · "}
+                <Link
+                  href={`/students/gscatchallssg/${value}`}
+                  style={linkStyle}
+                >
+                  {genderName(value)}
+                </Link>{" "}
+                ({count})
+              </span>
+            ))}
+          </li>
+          {facets.subject.map(({ value: subject, count }) => (
+            <li key={subject} style={{ marginBottom: "8px" }}>
+              <strong>{subjectName(subject)}</strong> ({count}):{" "}
+              {facets.gender.map(({ value: gender }, index) => (
+                <span key={gender}>
+                  {index > 0 && " · "}
                   <Link
-                    href="/students/gscatchallssg/male/Mathematics"
+                    href={`/students/gscatchallssg/${gender}/${encodeURIComponent(
+                      subject
+                    )}`}
                     style={linkStyle}
                   >
-                    /students/gscatchallssg/male/Mathematics
+                    {genderName(gender)}
                   </Link>
-                </li>
-              </ul>
-            </li>
-          </ul>
-        </section>
-
-        {/* ISR Section */}
-        <section>
-          <h2 style={{ fontSize: "1.5rem", marginBottom: "16px" }}>
-            Incremental Static Regeneration (ISR)
-          </h2>
-          <ul style={{ listStyle: "disc", paddingLeft: "20px" }}>
-            <li>
-              <strong>Single Prerendered URL with Regeneration</strong>: List
-              all students, regenerated every 60 seconds.
-              <br />
-              Example:{" "}
-              <Link href="/students/isr" style={linkStyle}>
-                /students/isr
-              </Link>
+                </span>
+              ))}
             </li>
-          </ul>
-        </section>
+          ))}
+        </ul>
+      </section>
 
-        {/* CSR Section */}
-        <section>
-          <h2 style={{ fontSize: "1.5rem", marginBottom: "16px" }}>
-            Client-Side Rendering (CSR)
-          </h2>
-          <ul style={{ listStyle: "disc", paddingLeft: "20px" }}>
-            <li>
-              <strong>Dynamic Filtering</strong>: Filter students by gender and
-              subject in the browser.
-              <br />
-              Example:{" "}
-              <Link href="/students/csr" style={linkStyle}>
-                /students/csr
-              </Link>
-            </li>
-          </ul>
-        </section>
-      </div>
       <footer
         style={{
           marginTop: "32px",
@@ -227,21 +275,26 @@ export default function IndexPage() {
         }}
       >
         <p>
-          See the{" "}
-          <a
-            href="https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering"
-            target="_blank"
-            style={linkStyle}
-            rel="noopener noreferrer"
-          >
-            GitHub repository
-          </a>{" "}
-          for source code and contributions. <br />
-          Copyright © 2025 Michael Abler.{" "}
-          <a href="/LICENSE.md" style={linkStyle} rel="noopener noreferrer">
-            LICENSE.md
-          </a>{" "}
-          for details.
+          {t("index.footer.repository", {
+            link: (
+              <a
+                href="https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering"
+                target="_blank"
+                style={linkStyle}
+                rel="noopener noreferrer"
+              >
+                {t("index.footer.repositoryLink")}
+              </a>
+            ),
+          })}{" "}
+          <br />
+          {t("index.footer.license", {
+            link: (
+              <a href="/LICENSE.md" style={linkStyle} rel="noopener noreferrer">
+                LICENSE.md
+              </a>
+            ),
+          })}
         </p>
       </footer>
     </div>
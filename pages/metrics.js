@@ -0,0 +1,243 @@
+/*
+ * metrics.js - Server-Side Rendering page comparing the timings of the rendering strategies
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import Link from "next/link";
+import { useRouter } from "next/router";
+import { useState } from "react";
+import useTranslation from "../hooks/useTranslation";
+import { readMetrics, summarize } from "../utils/metrics";
+import { withServerSideProvenance } from "../utils/provenance";
+
+const cellStyle = { padding: "12px", border: "1px solid #ccc" };
+const linkStyle = {
+  color: "#1a73e8",
+  textDecoration: "underline",
+};
+
+// The routes compared, all showing students from the same repository. The
+// prerendered detail page revalidates and generates new IDs on demand, so it
+// is ISR with fallback rather than plain SSG. The CSR page fetches its data
+// from /api/students after hydrating, so that route's timing stands in for
+// its data fetching.
+const STRATEGIES = [
+  {
+    strategy: "SSR",
+    page: "/students/idfilterssr/[ID]",
+    href: "/students/idfilterssr/S001",
+  },
+  {
+    strategy: "ISR (fallback)",
+    page: "/students/idfilterssg/[ID]",
+    href: "/students/idfilterssg/S001",
+  },
+  { strategy: "ISR", page: "/students/isr", href: "/students/isr" },
+  {
+    strategy: "CSR",
+    page: "/students/csr",
+    dataPage: "/api/students",
+    href: "/students/csr",
+  },
+];
+
+// Table rows; the labels are the "metrics.rows" messages
+const ROWS = [
+  { key: "dataBuild", name: "data", phase: "build" },
+  { key: "dataRuntime", name: "data", phase: "runtime" },
+  { key: "renderBuild", name: "render", phase: "build" },
+  { key: "renderRuntime", name: "render", phase: "runtime" },
+  { key: "ttfb", name: "TTFB", phase: "client" },
+  { key: "fcp", name: "FCP", phase: "client" },
+  { key: "lcp", name: "LCP", phase: "client" },
+  { key: "hydration", name: "Next.js-hydration", phase: "client" },
+];
+
+export const getServerSideProps = withServerSideProvenance(
+  async () => {
+    const metrics = readMetrics();
+    const rows = ROWS.map(({ key, name, phase }) => ({
+      key,
+      cells: STRATEGIES.map(({ page, dataPage }) =>
+        summarize(metrics, {
+          page: name === "data" && dataPage ? dataPage : page,
+          name,
+          phase,
+        })
+      ),
+    }));
+    return {
+      props: { rows, count: metrics.length },
+    };
+  },
+  (props) => props.rows
+);
+
+function Cell({ summary }) {
+  const { t, locale } = useTranslation();
+  if (!summary) return <td style={{ ...cellStyle, color: "#555" }}>–</td>;
+
+  const format = new Intl.NumberFormat(locale, {
+    minimumFractionDigits: 1,
+    maximumFractionDigits: 1,
+  });
+  return (
+    <td style={cellStyle}>
+      <strong>
+        {t("metrics.milliseconds", { value: format.format(summary.median) })}
+      </strong>
+      <div style={{ fontSize: "0.8rem", color: "#555" }}>
+        {t("metrics.spread", {
+          p75: t("metrics.milliseconds", {
+            value: format.format(summary.p75),
+          }),
+          count: summary.count,
+        })}
+      </div>
+    </td>
+  );
+}
+
+// Clearing needs the REVALIDATE_SECRET, as anyone can open this page
+function ResetForm() {
+  const { t } = useTranslation();
+  const router = useRouter();
+  const [secret, setSecret] = useState("");
+  const [status, setStatus] = useState({ busy: false, error: null });
+
+  async function reset(event) {
+    event.preventDefault();
+    setStatus({ busy: true, error: null });
+    const response = await fetch("/api/metrics", {
+      method: "DELETE",
+      headers: { "x-revalidate-secret": secret },
+    }).catch(() => null);
+    if (!response?.ok) {
+      setStatus({
+        busy: false,
+        error:
+          response?.status === 401
+            ? t("metrics.wrongSecret")
+            : t("metrics.resetFailed"),
+      });
+      return;
+    }
+    await router.replace(router.asPath);
+    setSecret("");
+    setStatus({ busy: false, error: null });
+  }
+
+  return (
+    <form onSubmit={reset}>
+      <label>
+        {t("metrics.secret")}{" "}
+        <input
+          type="password"
+          value={secret}
+          onChange={(event) => setSecret(event.target.value)}
+          required
+        />
+      </label>{" "}
+      <button type="submit" disabled={status.busy}>
+        {t("metrics.reset")}
+      </button>
+      {status.error && (
+        <p role="alert" style={{ color: "#d93025" }}>
+          {status.error}
+        </p>
+      )}
+    </form>
+  );
+}
+
+export default function MetricsPage({ rows, count }) {
+  const { t } = useTranslation();
+  return (
+    <div style={{ padding: "24px", maxWidth: "800px", margin: "0 auto" }}>
+      <h1 style={{ fontSize: "2rem", marginBottom: "16px" }}>
+        {t("metrics.title")}
+      </h1>
+      <p style={{ marginBottom: "16px" }}>
+        {t("metrics.intro", {
+          count,
+          module: <code>utils/metrics.js</code>,
+          hook: <code>reportWebVitals</code>,
+          app: <code>_app.js</code>,
+        })}
+      </p>
+      <p style={{ marginBottom: "16px" }}>
+        {t("metrics.production", {
+          command: <code>npm run build && npm run start</code>,
+        })}
+      </p>
+      <table
+        style={{
+          width: "100%",
+          borderCollapse: "collapse",
+          border: "1px solid #ccc",
+          textAlign: "left",
+        }}
+      >
+        <thead>
+          <tr style={{ backgroundColor: "#f4f4f4" }}>
+            <th style={cellStyle}>{t("metrics.metric")}</th>
+            {STRATEGIES.map(({ strategy, href }) => (
+              <th key={strategy} style={cellStyle}>
+                {strategy}
+                <div style={{ fontSize: "0.8rem", fontWeight: "normal" }}>
+                  <Link href={href} style={linkStyle}>
+                    {href}
+                  </Link>
+                </div>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(({ key, cells }) => (
+            <tr key={key}>
+              <th scope="row" style={cellStyle}>
+                {t(`metrics.rows.${key}`)}
+              </th>
+              {cells.map((summary, index) => (
+                <Cell key={STRATEGIES[index].strategy} summary={summary} />
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p style={{ margin: "16px 0" }}>
+        {t("metrics.explanation", {
+          api: <code>/api/students</code>,
+          raw: <code>/api/metrics</code>,
+        })}
+      </p>
+      <ResetForm />
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+/*
+ * edit.js - Page for editing a student
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import StudentForm from "../../../components/StudentForm";
+import useTranslation from "../../../hooks/useTranslation";
+import { facetValues, getFacets } from "../../../utils/facets";
+import { withServerSideProvenance } from "../../../utils/provenance";
+import { getStudentRepository } from "../../../utils/repository";
+
+// Server-rendered, so the form always starts from the stored record
+export const getServerSideProps = withServerSideProvenance(
+  async ({ params }) => {
+    const student = await getStudentRepository().get(params.ID);
+    if (!student) {
+      return { notFound: true };
+    }
+    const facets = await getFacets();
+    return {
+      props: { student, cities: facetValues(facets.city) },
+    };
+  },
+  (props) => props.student
+);
+
+export default function EditStudentPage({ student, cities }) {
+  const { t } = useTranslation();
+  return (
+    <div style={{ padding: "24px", maxWidth: "800px", margin: "0 auto" }}>
+      <h1 style={{ fontSize: "2rem", marginBottom: "16px" }}>
+        {t("studentForm.editTitle", {
+          name: `${student.firstname} ${student.lastname}`,
+          id: student.ID,
+        })}
+      </h1>
+      <StudentForm student={student} cities={cities} />
+    </div>
+  );
+}
@@ -1,5 +1,5 @@
 /*
- * all.js - Displays all students in a table using SSG
+ * all.js - Displays all students in a sortable, paginated table using SSR
  *
  * Copyright © 2025 Michael Abler
  *
@@ -29,24 +29,115 @@
  */
 
 import Link from "next/link";
-import { students } from "../../utils/students";
+import { useRouter } from "next/router";
+import ExportButton from "../../components/ExportButton";
+import useTranslation from "../../hooks/useTranslation";
+import { withServerSideProvenance } from "../../utils/provenance";
+import { parseFilterQuery } from "../../utils/query";
+import { getStudentRepository } from "../../utils/repository";
 
-export async function getStaticProps() {
-  return {
-    props: { students },
-  };
+const PAGE_SIZES = [10, 20, 50, 100];
+const DEFAULT_VIEW = { sort: "ID", order: "asc", page: 1, pageSize: 20 };
+
+// Table columns in display order; the headers are the "fields" messages
+const COLUMNS = [
+  "firstname",
+  "lastname",
+  "gender",
+  "birthdate",
+  "studysubject",
+  "city",
+  "ID",
+];
+
+const cellStyle = { padding: "12px", border: "1px solid #ccc" };
+const linkStyle = {
+  color: "#1a73e8", // Distinct blue color for visibility
+  textDecoration: "underline", // Underline to indicate it's a link
+};
+
+// Page numbers to link to: the first, the last and two either side of the
+// current page, with null marking a gap, e.g. [1, null, 4, 5, 6, 7, 8, null, 20]
+function pageNumbers(page, pageCount) {
+  const numbers = [];
+  for (let number = 1; number <= pageCount; number++) {
+    if (number === 1 || number === pageCount || Math.abs(number - page) <= 2) {
+      numbers.push(number);
+    } else if (numbers[numbers.length - 1] !== null) {
+      numbers.push(null);
+    }
+  }
+  return numbers;
 }
 
-export default function AllStudentsPage({ students }) {
+// Sorting and paging live in the URL query (?sort=city&order=desc&page=2
+// &pageSize=20), so every view can be shared and is rendered on the server.
+// Invalid values fall back to the defaults.
+export const getServerSideProps = withServerSideProvenance(
+  async ({ query }) => {
+    const { filter } = parseFilterQuery({
+      sort: query.sort,
+      order: query.order,
+      page: query.page,
+      pageSize: query.pageSize,
+    });
+    const view = { ...DEFAULT_VIEW, ...filter };
+    if (!PAGE_SIZES.includes(view.pageSize))
+      view.pageSize = DEFAULT_VIEW.pageSize;
+
+    const repository = getStudentRepository();
+    let { results, total } = await repository.query(view);
+
+    // Past the last page (e.g. after deletions), show the last page instead
+    const pageCount = Math.max(1, Math.ceil(total / view.pageSize));
+    if (view.page > pageCount) {
+      view.page = pageCount;
+      ({ results, total } = await repository.query(view));
+    }
+
+    return {
+      props: {
+        students: results,
+        total,
+        pageCount,
+        sort: view.sort,
+        order: view.order,
+        page: view.page,
+        pageSize: view.pageSize,
+      },
+    };
+  },
+  (props) => props.students
+);
+
+export default function AllStudentsPage({
+  students,
+  total,
+  pageCount,
+  sort,
+  order,
+  page,
+  pageSize,
+}) {
+  const router = useRouter();
+  const { t } = useTranslation();
+
+  // Links keep the current view and change only the given parameters
+  const viewHref = (changes) => ({
+    pathname: "/students/all",
+    query: { sort, order, page, pageSize, ...changes },
+  });
+
+  const first = total === 0 ? 0 : (page - 1) * pageSize + 1;
+  const last = Math.min(page * pageSize, total);
+
   return (
     <div style={{ padding: "24px", maxWidth: "800px", margin: "0 auto" }}>
       <h1 style={{ fontSize: "2rem", marginBottom: "24px" }}>
-        All Students (SSG)
+        {t("allPage.title")}
       </h1>
-      <p style={{ marginBottom: "16px" }}>
-        Below is a table listing all students with their details. Click the ID
-        to view more information.
-      </p>
+      <p style={{ marginBottom: "16px" }}>{t("allPage.intro")}</p>
+      <ExportButton filter={{ sort, order }} />
       <table
         style={{
           width: "100%",
@@ -57,52 +148,50 @@ export default function AllStudentsPage({ students }) {
       >
         <thead>
           <tr style={{ backgroundColor: "#f4f4f4" }}>
-            <th style={{ padding: "12px", border: "1px solid #ccc" }}>
-              First Name
-            </th>
-            <th style={{ padding: "12px", border: "1px solid #ccc" }}>
-              Last Name
-            </th>
-            <th style={{ padding: "12px", border: "1px solid #ccc" }}>
-              Gender
-            </th>
-            <th style={{ padding: "12px", border: "1px solid #ccc" }}>
-              Birthdate
-            </th>
-            <th style={{ padding: "12px", border: "1px solid #ccc" }}>
-              Study Subject
-            </th>
-            <th style={{ padding: "12px", border: "1px solid #ccc" }}>City</th>
-            <th style={{ padding: "12px", border: "1px solid #ccc" }}>ID</th>
+            {COLUMNS.map((field) => {
+              const active = sort === field;
+              return (
+                <th
+                  key={field}
+                  style={cellStyle}
+                  aria-sort={
+                    active
+                      ? order === "asc"
+                        ? "ascending"
+                        : "descending"
+                      : undefined
+                  }
+                >
+                  <Link
+                    href={viewHref({
+                      sort: field,
+                      order: active && order === "asc" ? "desc" : "asc",
+                      page: 1,
+                    })}
+                    style={{ color: "inherit" }}
+                  >
+                    {t(`fields.${field}`)}
+                    {active && (order === "asc" ? " ▲" : " ▼")}
+                  </Link>
+                </th>
+              );
+            })}
           </tr>
         </thead>
         <tbody>
           {students.map((student) => (
             <tr key={student.ID} style={{ borderBottom: "1px solid #eee" }}>
-              <td style={{ padding: "12px", border: "1px solid #ccc" }}>
-                {student.firstname}
-              </td>
-              <td style={{ padding: "12px", border: "1px solid #ccc" }}>
-                {student.lastname}
-              </td>
-              <td style={{ padding: "12px", border: "1px solid #ccc" }}>
-                {student.gender}
-              </td>
-              <td style={{ padding: "12px", border: "1px solid #ccc" }}>
-                {student.birthdate}
-              </td>
-              <td style={{ padding: "12px", border: "1px solid #ccc" }}>
-                {student.studysubject}
-              </td>
-              <td style={{ padding: "12px", border: "1px solid #ccc" }}>
-                {student.city}
-              </td>
-              <td style={{ padding: "12px", border: "1px solid #ccc" }}>
+              <td style={cellStyle}>{student.firstname}</td>
+              <td style={cellStyle}>{student.lastname}</td>
+              <td style={cellStyle}>{student.gender}</td>
+              <td style={cellStyle}>{student.birthdate}</td>
+              <td style={cellStyle}>{student.studysubject}</td>
+              <td style={cellStyle}>{student.city}</td>
+              <td style={cellStyle}>
                 <Link
                   href={`/students/idfilterssr/${student.ID}`}
                   style={{
-                    color: "#1a73e8", // Distinct blue color for visibility
-                    textDecoration: "underline", // Underline to indicate it's a link
+                    ...linkStyle,
                     display: "block", // Ensures the link takes the full width
                     overflow: "hidden", // Prevents overflow in fixed-width column
                     textOverflow: "ellipsis", // Truncates long text
@@ -116,6 +205,67 @@ export default function AllStudentsPage({ students }) {
           ))}
         </tbody>
       </table>
+
+      <nav
+        aria-label={t("allPage.pagination")}
+        style={{
+          display: "flex",
+          flexWrap: "wrap",
+          alignItems: "center",
+          gap: "12px",
+          marginTop: "16px",
+        }}
+      >
+        <span>{t("allPage.showing", { first, last, total })}</span>
+        {page > 1 && (
+          <Link href={viewHref({ page: page - 1 })} style={linkStyle}>
+            {t("allPage.previous")}
+          </Link>
+        )}
+        {pageNumbers(page, pageCount).map((number, index) =>
+          number === null ? (
+            <span key={`gap-${index}`}>…</span>
+          ) : number === page ? (
+            <strong key={number} aria-current="page">
+              {number}
+            </strong>
+          ) : (
+            <Link
+              key={number}
+              href={viewHref({ page: number })}
+              style={linkStyle}
+            >
+              {number}
+            </Link>
+          )
+        )}
+        {page < pageCount && (
+          <Link href={viewHref({ page: page + 1 })} style={linkStyle}>
+            {t("allPage.next")}
+          </Link>
+        )}
+        <label htmlFor="pageSize" style={{ marginLeft: "auto" }}>
+          {t("allPage.perPage")}{" "}
+          <select
+            id="pageSize"
+            value={pageSize}
+            onChange={(e) =>
+              router.push(viewHref({ pageSize: e.target.value, page: 1 }))
+            }
+            style={{
+              padding: "4px",
+              borderRadius: "4px",
+              border: "1px solid #ccc",
+            }}
+          >
+            {PAGE_SIZES.map((size) => (
+              <option key={size} value={size}>
+                {size}
+              </option>
+            ))}
+          </select>
+        </label>
+      </nav>
     </div>
   );
 }
@@ -0,0 +1,148 @@
+/*
+ * birthdays.js - Server-Side Rendering page listing the birthdays of a month
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import Link from "next/link";
+import useTranslation from "../../hooks/useTranslation";
+import { birthdayDetails, toIsoDate } from "../../utils/dates";
+import { withServerSideProvenance } from "../../utils/provenance";
+import { parseFilterQuery } from "../../utils/query";
+import { getStudentRepository } from "../../utils/repository";
+
+const cellStyle = { padding: "12px", border: "1px solid #ccc" };
+const linkStyle = {
+  color: "#1a73e8",
+  textDecoration: "underline",
+};
+
+// ?month=1-12 selects the month; without it (or with an invalid value) the
+// current month is shown. Server-rendered, so "this month" and the ages are
+// always those of the request date.
+export const getServerSideProps = withServerSideProvenance(
+  async ({ query }) => {
+    const today = new Date();
+    const { filter } = parseFilterQuery({ birthMonth: query.month });
+    const month = filter.birthMonth || today.getUTCMonth() + 1;
+
+    const { results } = await getStudentRepository().query({
+      birthMonth: month,
+      sort: "birthday",
+    });
+    // The birthday in the current year, which may already be past
+    const firstOfMonth = new Date(
+      Date.UTC(today.getUTCFullYear(), month - 1, 1)
+    );
+    const students = results.map((student) => ({
+      ...student,
+      ...birthdayDetails(student.birthdate, firstOfMonth),
+    }));
+
+    return {
+      props: {
+        students,
+        month,
+        isCurrentMonth: month === today.getUTCMonth() + 1,
+        today: toIsoDate(today),
+      },
+    };
+  },
+  (props) => props.students
+);
+
+export default function BirthdaysPage({
+  students,
+  month,
+  isCurrentMonth,
+  today,
+}) {
+  const { t, formatDate, formatMonth } = useTranslation();
+  const previous = month === 1 ? 12 : month - 1;
+  const next = month === 12 ? 1 : month + 1;
+
+  return (
+    <div style={{ padding: "24px", maxWidth: "800px", margin: "0 auto" }}>
+      <h1 style={{ fontSize: "2rem", marginBottom: "16px" }}>
+        {t("birthdays.title", { month: formatMonth(month) })}
+      </h1>
+      <p style={{ marginBottom: "16px" }}>
+        {isCurrentMonth
+          ? t("birthdays.introCurrent")
+          : t("birthdays.introMonth", { month: formatMonth(month) })}
+      </p>
+      <p style={{ marginBottom: "16px" }}>
+        <Link href={`/students/birthdays?month=${previous}`} style={linkStyle}>
+          ← {formatMonth(previous)}
+        </Link>
+        {" · "}
+        <Link href={`/students/birthdays?month=${next}`} style={linkStyle}>
+          {formatMonth(next)} →
+        </Link>
+      </p>
+
+      {students.length === 0 ? (
+        <p>{t("birthdays.none", { month: formatMonth(month) })}</p>
+      ) : (
+        <table style={{ width: "100%", borderCollapse: "collapse" }}>
+          <thead>
+            <tr>
+              <th style={cellStyle}>{t("birthdays.birthday")}</th>
+              <th style={cellStyle}>{t("birthdays.student")}</th>
+              <th style={cellStyle}>{t("birthdays.turning")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {students.map((student) => (
+              <tr
+                key={student.ID}
+                style={{
+                  fontWeight:
+                    student.nextBirthday === today ? "bold" : "normal",
+                }}
+              >
+                <td style={cellStyle}>
+                  {formatDate(student.nextBirthday)}
+                  {student.nextBirthday === today && ` ${t("birthdays.today")}`}
+                </td>
+                <td style={cellStyle}>
+                  <Link
+                    href={`/students/idfilterssr/${student.ID}`}
+                    style={linkStyle}
+                  >
+                    {student.firstname} {student.lastname}
+                  </Link>
+                </td>
+                <td style={cellStyle}>{student.turning}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
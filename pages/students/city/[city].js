@@ -0,0 +1,124 @@
+/*
+ * [city].js - SSG route for prerendering the students of a city
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import Link from "next/link";
+import { useRouter } from "next/router";
+import ExportButton from "../../../components/ExportButton";
+import LoadingSkeleton from "../../../components/LoadingSkeleton";
+import StudentList from "../../../components/StudentList";
+import useTranslation from "../../../hooks/useTranslation";
+import { facetValues, getFacets } from "../../../utils/facets";
+import { localizedPath, pathsForLocales } from "../../../utils/i18n";
+import { withStaticProvenance } from "../../../utils/provenance";
+import { getStudentRepository } from "../../../utils/repository";
+import { parseCity } from "../../../utils/routeParams";
+import { slugify } from "../../../utils/slug";
+import { SSG_FALLBACK, SSG_REVALIDATE } from "../../../utils/ssg";
+import { filterByCity } from "../../../utils/students";
+
+const linkStyle = {
+  color: "#1a73e8",
+  textDecoration: "underline",
+};
+
+export async function getStaticPaths({ locales }) {
+  const facets = await getFacets();
+  const paths = facetValues(facets.city).map((city) => ({
+    params: { city: slugify(city) },
+  }));
+  return {
+    paths: pathsForLocales(paths, locales),
+    fallback: SSG_FALLBACK, // Cities added after the build are generated on demand
+  };
+}
+
+export const getStaticProps = withStaticProvenance(
+  async ({ params, locale }) => {
+    const match = parseCity(params.city, await getFacets());
+    if (!match) {
+      return { notFound: true, revalidate: SSG_REVALIDATE };
+    }
+    // Other spellings ("Vienna", "São Paulo") lead to the slug URL
+    if (!match.isSlug) {
+      return {
+        redirect: {
+          destination: localizedPath(`/students/city/${match.slug}`, locale),
+          permanent: false,
+        },
+        revalidate: SSG_REVALIDATE,
+      };
+    }
+    const students = filterByCity(
+      await getStudentRepository().list(),
+      match.city
+    );
+    return {
+      props: { students, city: match.city, slug: match.slug },
+      revalidate: SSG_REVALIDATE,
+    };
+  },
+  (props) => props.students
+);
+
+export default function CityPage({ students, city, slug }) {
+  const { t } = useTranslation();
+  const router = useRouter();
+
+  if (router.isFallback) {
+    return (
+      <div style={{ padding: "24px", maxWidth: "800px", margin: "0 auto" }}>
+        <LoadingSkeleton variant="list" />
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ padding: "24px", maxWidth: "800px", margin: "0 auto" }}>
+      <h1>{t("cityPage.titleSsg", { city })}</h1>
+      <p>{t("cityPage.count", { count: students.length, city })}</p>
+      <p>
+        {t("cityPage.otherRendering", {
+          mode: t("cityPage.onRequest"),
+          link: (
+            <Link href={`/students/cityssr/${slug}`} style={linkStyle}>
+              /students/cityssr/{slug}
+            </Link>
+          ),
+        })}{" "}
+        ·{" "}
+        <Link href="/students/city" style={linkStyle}>
+          {t("cityPage.allCities")}
+        </Link>
+      </p>
+      <ExportButton filter={{ city }} />
+      <StudentList students={students} linkBase="/students/idfilterssg" />
+    </div>
+  );
+}
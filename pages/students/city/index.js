@@ -0,0 +1,109 @@
+/*
+ * index.js - SSG directory of the cities students live in, with counts
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import Link from "next/link";
+import useTranslation from "../../../hooks/useTranslation";
+import { getFacets } from "../../../utils/facets";
+import { withStaticProvenance } from "../../../utils/provenance";
+import { slugify } from "../../../utils/slug";
+import { SSG_REVALIDATE } from "../../../utils/ssg";
+
+const cellStyle = { padding: "12px", border: "1px solid #ccc" };
+const linkStyle = {
+  color: "#1a73e8",
+  textDecoration: "underline",
+};
+
+export const getStaticProps = withStaticProvenance(
+  async ({ locale }) => {
+    const facets = await getFacets();
+    const cities = facets.city
+      .map(({ value, count }) => ({ city: value, slug: slugify(value), count }))
+      .sort((a, b) => a.city.localeCompare(b.city, locale));
+    return {
+      props: { cities },
+      revalidate: SSG_REVALIDATE,
+    };
+  },
+  (props) => props.cities
+);
+
+export default function CityDirectoryPage({ cities }) {
+  const { t } = useTranslation();
+  return (
+    <div style={{ padding: "24px", maxWidth: "800px", margin: "0 auto" }}>
+      <h1 style={{ fontSize: "2rem", marginBottom: "16px" }}>
+        {t("cityPage.directoryTitle")}
+      </h1>
+      <p style={{ marginBottom: "16px" }}>
+        {t("cityPage.directoryIntro", {
+          example: <code>/students/city/sao-paulo</code>,
+        })}
+      </p>
+      <table
+        style={{
+          width: "100%",
+          borderCollapse: "collapse",
+          border: "1px solid #ccc",
+          textAlign: "left",
+        }}
+      >
+        <thead>
+          <tr style={{ backgroundColor: "#f4f4f4" }}>
+            <th style={cellStyle}>{t("cityPage.city")}</th>
+            <th style={cellStyle}>{t("cityPage.students")}</th>
+            <th style={cellStyle}>{t("cityPage.links")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {cities.map(({ city, slug, count }) => (
+            <tr key={slug}>
+              <td style={cellStyle}>
+                <Link href={`/students/city/${slug}`} style={linkStyle}>
+                  {city}
+                </Link>
+              </td>
+              <td style={cellStyle}>{count}</td>
+              <td style={cellStyle}>
+                <Link href={`/students/city/${slug}`} style={linkStyle}>
+                  SSG
+                </Link>
+                {" · "}
+                <Link href={`/students/cityssr/${slug}`} style={linkStyle}>
+                  SSR
+                </Link>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+/*
+ * [city].js - SSR route for listing the students of a city
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import Link from "next/link";
+import ExportButton from "../../../components/ExportButton";
+import StudentList from "../../../components/StudentList";
+import useTranslation from "../../../hooks/useTranslation";
+import { getFacets } from "../../../utils/facets";
+import { localizedPath } from "../../../utils/i18n";
+import { withServerSideProvenance } from "../../../utils/provenance";
+import { getStudentRepository } from "../../../utils/repository";
+import { parseCity } from "../../../utils/routeParams";
+import { filterByCity } from "../../../utils/students";
+
+const linkStyle = {
+  color: "#1a73e8",
+  textDecoration: "underline",
+};
+
+export const getServerSideProps = withServerSideProvenance(
+  async ({ params, locale }) => {
+    const match = parseCity(params.city, await getFacets());
+    if (!match) {
+      return { notFound: true };
+    }
+    // Other spellings ("Vienna", "São Paulo") lead to the slug URL
+    if (!match.isSlug) {
+      return {
+        redirect: {
+          destination: localizedPath(`/students/cityssr/${match.slug}`, locale),
+          permanent: false,
+        },
+      };
+    }
+    const students = filterByCity(
+      await getStudentRepository().list(),
+      match.city
+    );
+    return {
+      props: { students, city: match.city, slug: match.slug },
+    };
+  },
+  (props) => props.students
+);
+
+export default function CityPage({ students, city, slug }) {
+  const { t } = useTranslation();
+  return (
+    <div style={{ padding: "24px", maxWidth: "800px", margin: "0 auto" }}>
+      <h1>{t("cityPage.titleSsr", { city })}</h1>
+      <p>{t("cityPage.count", { count: students.length, city })}</p>
+      <p>
+        {t("cityPage.otherRendering", {
+          mode: t("cityPage.prerendered"),
+          link: (
+            <Link href={`/students/city/${slug}`} style={linkStyle}>
+              /students/city/{slug}
+            </Link>
+          ),
+        })}{" "}
+        ·{" "}
+        <Link href="/students/city" style={linkStyle}>
+          {t("cityPage.allCities")}
+        </Link>
+      </p>
+      <ExportButton filter={{ city }} />
+      <StudentList students={students} />
+    </div>
+  );
+}
@@ -28,37 +28,83 @@
  * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
  */
 
-import { useEffect, useState } from "react";
+import Link from "next/link";
+import { useRouter } from "next/router";
 import StudentList from "../../components/StudentList";
-import {
-  filterByGender,
-  filterBySubject,
-  students,
-} from "../../utils/students";
+import ExportButton from "../../components/ExportButton";
+import LoadingSkeleton from "../../components/LoadingSkeleton";
+import useClientProvenance from "../../hooks/useClientProvenance";
+import useFetch from "../../hooks/useFetch";
+import useTranslation from "../../hooks/useTranslation";
+import { firstValue } from "../../utils/api";
+
+// The prerendered and server-rendered routes showing the same filter. The
+// gender/subject routes cannot express a subject without a gender.
+function equivalentRoutes(gender, subject, t) {
+  if (subject && !gender) return [];
+  const segments = [gender, subject]
+    .filter(Boolean)
+    .map((segment) => `/${encodeURIComponent(segment)}`)
+    .join("");
+  const routes = [
+    { label: "SSR", href: `/students/gscatchallssr${segments}` },
+    { label: "SSG", href: `/students/gscatchallssg${segments}` },
+  ];
+  if (gender && subject) {
+    routes.push(
+      { label: t("csr.ssrNested"), href: `/students/gsnestedssr${segments}` },
+      { label: t("csr.ssgNested"), href: `/students/gsnestedssg${segments}` }
+    );
+  }
+  return routes;
+}
 
 export default function CSRPage() {
-  const [filteredStudents, setFilteredStudents] = useState(students);
-  const [gender, setGender] = useState("");
-  const [subject, setSubject] = useState("");
+  const router = useRouter();
+  const { t, genderName, subjectName } = useTranslation();
+
+  // The filters live in the query string (?gender=female&subject=Physics),
+  // so reloading, sharing the link and the Back button all keep them
+  const gender = firstValue(router.query.gender) || "";
+  const subject = firstValue(router.query.subject) || "";
+
+  // Shallow routing updates the URL and adds a history entry without
+  // running any data fetching on the server
+  const setFilter = (changes) => {
+    const query = { gender, subject, ...changes };
+    Object.keys(query).forEach((key) => {
+      if (!query[key]) delete query[key];
+    });
+    router.push({ pathname: router.pathname, query }, undefined, {
+      shallow: true,
+    });
+  };
+
+  // The filter options come from the data, so new subjects appear here too
+  const { data: facets } = useFetch("/api/facets");
+
+  // The query string is empty until the router is ready after hydration
+  const params = new URLSearchParams();
+  if (gender) params.set("gender", gender);
+  if (subject) params.set("subject", subject);
+  const { data, fetchedAt, error, isLoading, isValidating, retry } = useFetch(
+    router.isReady ? `/api/students?${params}` : null
+  );
+  useClientProvenance(data, fetchedAt);
 
-  useEffect(() => {
-    let result = students;
-    if (gender) result = filterByGender(result, gender);
-    if (subject) result = filterBySubject(result, subject);
-    setFilteredStudents(result);
-  }, [gender, subject]);
+  const serverRoutes = equivalentRoutes(gender, subject, t);
 
   return (
     <div style={{ padding: "24px", maxWidth: "800px", margin: "0 auto" }}>
       <h1 style={{ fontSize: "2rem", marginBottom: "16px" }}>
-        Student Directory (CSR)
+        {t("csr.title")}
       </h1>
       <p style={{ marginBottom: "16px" }}>
-        This page demonstrates <strong>Client-Side Rendering (CSR)</strong>.
-        Data is fetched and filtered in the browser using React hooks. Select a
-        gender and/or subject to filter the student list dynamically. Unlike
-        SSR, SSG, or ISR, the HTML is not prerendered, and JavaScript handles
-        the rendering, which may impact SEO.
+        {t("csr.intro", {
+          mode: <strong>{t("csr.mode")}</strong>,
+          api: <code>/api/students</code>,
+          hook: <code>useFetch</code>,
+        })}
       </p>
 
       <div style={{ marginBottom: "24px" }}>
@@ -66,12 +112,12 @@ export default function CSRPage() {
           htmlFor="gender"
           style={{ marginRight: "8px", fontWeight: "bold" }}
         >
-          Gender:
+          {t("csr.gender")}
         </label>
         <select
           id="gender"
           value={gender}
-          onChange={(e) => setGender(e.target.value)}
+          onChange={(e) => setFilter({ gender: e.target.value })}
           style={{
             padding: "8px",
             marginRight: "16px",
@@ -79,36 +125,85 @@ export default function CSRPage() {
             border: "1px solid #ccc",
           }}
         >
-          <option value="">All</option>
-          <option value="male">Male</option>
-          <option value="female">Female</option>
+          <option value="">{t("common.all")}</option>
+          {(facets?.gender || []).map(({ value, count }) => (
+            <option key={value} value={value}>
+              {genderName(value)} ({count})
+            </option>
+          ))}
         </select>
 
         <label
           htmlFor="subject"
           style={{ marginRight: "8px", fontWeight: "bold" }}
         >
-          Subject:
+          {t("csr.subject")}
         </label>
         <select
           id="subject"
           value={subject}
-          onChange={(e) => setSubject(e.target.value)}
+          onChange={(e) => setFilter({ subject: e.target.value })}
           style={{
             padding: "8px",
             borderRadius: "4px",
             border: "1px solid #ccc",
           }}
         >
-          <option value="">All</option>
-          <option value="Physics">Physics</option>
-          <option value="Mathematics">Mathematics</option>
-          <option value="Computer Science">Computer Science</option>
-          <option value="Medicine">Medicine</option>
+          <option value="">{t("common.all")}</option>
+          {(facets?.subject || []).map(({ value, count }) => (
+            <option key={value} value={value}>
+              {subjectName(value)} ({count})
+            </option>
+          ))}
         </select>
       </div>
 
-      <StudentList students={filteredStudents} />
+      {serverRoutes.length > 0 && (
+        <p style={{ marginBottom: "16px" }}>
+          {t("csr.serverRoutes")}{" "}
+          {serverRoutes.map(({ label, href }, index) => (
+            <span key={href}>
+              {index > 0 && " · "}
+              <Link href={href} style={{ color: "#1a73e8" }}>
+                {label}
+              </Link>
+            </span>
+          ))}
+        </p>
+      )}
+
+      <ExportButton filter={{ gender, subject }} />
+
+      {error && (
+        <div
+          role="alert"
+          style={{
+            marginBottom: "16px",
+            padding: "12px",
+            borderRadius: "4px",
+            border: "1px solid #d93025",
+            color: "#d93025",
+          }}
+        >
+          {t("csr.loadError", { message: error.message })}{" "}
+          <button type="button" onClick={retry} style={{ padding: "4px 12px" }}>
+            {t("csr.retry")}
+          </button>
+        </div>
+      )}
+
+      {isLoading ? (
+        <LoadingSkeleton variant="list" />
+      ) : (
+        data && (
+          <div
+            style={{ opacity: isValidating ? 0.6 : 1 }}
+            aria-busy={isValidating}
+          >
+            <StudentList students={data.students} />
+          </div>
+        )
+      )}
     </div>
   );
 }
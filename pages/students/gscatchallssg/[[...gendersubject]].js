@@ -28,16 +28,22 @@
  * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
  */
 
+import { useRouter } from "next/router";
+import ExportButton from "../../../components/ExportButton";
+import LoadingSkeleton from "../../../components/LoadingSkeleton";
 import StudentList from "../../../components/StudentList";
-import {
-  filterByGender,
-  filterBySubject,
-  students,
-} from "../../../utils/students";
+import useTranslation from "../../../hooks/useTranslation";
+import { facetValues, getFacets } from "../../../utils/facets";
+import { pathsForLocales } from "../../../utils/i18n";
+import { withStaticProvenance } from "../../../utils/provenance";
+import { getStudentRepository } from "../../../utils/repository";
+import { parseGenderSubject } from "../../../utils/routeParams";
+import { SSG_FALLBACK, SSG_REVALIDATE } from "../../../utils/ssg";
 
-export async function getStaticPaths() {
-  const genders = ["male", "female"];
-  const subjects = ["Physics", "Mathematics", "Computer Science", "Medicine"];
+export async function getStaticPaths({ locales }) {
+  const facets = await getFacets();
+  const genders = facetValues(facets.gender);
+  const subjects = facetValues(facets.subject);
   const paths = [{ params: { gendersubject: undefined } }]; // Root path
   genders.forEach((gender) => {
     subjects.forEach((subject) => {
@@ -45,38 +51,58 @@ export async function getStaticPaths() {
     });
   });
   return {
-    paths,
-    fallback: false,
+    paths: pathsForLocales(paths, locales),
+    fallback: SSG_FALLBACK, // Other valid combinations are generated on demand
   };
 }
 
-export async function getStaticProps({ params }) {
-  const gendersubject = params?.gendersubject || [];
-  const gender = gendersubject[0];
-  const subject = gendersubject[1];
-  let filteredStudents = students;
-  if (gender) filteredStudents = filterByGender(filteredStudents, gender);
-  if (subject) filteredStudents = filterBySubject(filteredStudents, subject);
-  return {
-    props: {
-      students: filteredStudents,
-      gender: gender || "All",
-      subject: subject || "All",
-    },
-  };
-}
+export const getStaticProps = withStaticProvenance(
+  async ({ params }) => {
+    const filter = parseGenderSubject(params?.gendersubject, await getFacets());
+    if (!filter) {
+      return { notFound: true, revalidate: SSG_REVALIDATE };
+    }
+    const { gender, subject } = filter;
+    const { results } = await getStudentRepository().query(filter);
+    return {
+      props: {
+        students: results,
+        gender: gender || null,
+        subject: subject || null,
+      },
+      revalidate: SSG_REVALIDATE,
+    };
+  },
+  (props) => props.students
+);
 
 export default function GenderSubjectCatchAllPage({
   students,
   gender,
   subject,
 }) {
+  const { t, genderName, subjectName } = useTranslation();
+  const router = useRouter();
+
+  if (router.isFallback) {
+    return (
+      <div style={{ padding: "24px", maxWidth: "800px", margin: "0 auto" }}>
+        <h1>{t("genderSubjectPage.titleCatchAllSsg")}</h1>
+        <LoadingSkeleton variant="list" />
+      </div>
+    );
+  }
+
   return (
     <div style={{ padding: "24px", maxWidth: "800px", margin: "0 auto" }}>
-      <h1>Students by Gender and Subject (SSG, Catch-All)</h1>
+      <h1>{t("genderSubjectPage.titleCatchAllSsg")}</h1>
       <p>
-        Filtering by Gender: {gender}, Subject: {subject}
+        {t("common.filteringBy", {
+          gender: gender ? genderName(gender) : t("common.all"),
+          subject: subject ? subjectName(subject) : t("common.all"),
+        })}
       </p>
+      <ExportButton filter={{ gender, subject }} />
       <StudentList students={students} linkBase="/students/idfilterssg" />
     </div>
   );
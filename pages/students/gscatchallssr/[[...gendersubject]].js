@@ -28,40 +28,49 @@
  * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
  */
 
+import ExportButton from "../../../components/ExportButton";
 import StudentList from "../../../components/StudentList";
-import {
-  filterByGender,
-  filterBySubject,
-  students,
-} from "../../../utils/students";
+import useTranslation from "../../../hooks/useTranslation";
+import { getFacets } from "../../../utils/facets";
+import { withServerSideProvenance } from "../../../utils/provenance";
+import { getStudentRepository } from "../../../utils/repository";
+import { parseGenderSubject } from "../../../utils/routeParams";
 
-export async function getServerSideProps({ params }) {
-  const gendersubject = params?.gendersubject || [];
-  const gender = gendersubject[0];
-  const subject = gendersubject[1];
-  let filteredStudents = students;
-  if (gender) filteredStudents = filterByGender(filteredStudents, gender);
-  if (subject) filteredStudents = filterBySubject(filteredStudents, subject);
-  return {
-    props: {
-      students: filteredStudents,
-      gender: gender || "All",
-      subject: subject || "All",
-    },
-  };
-}
+export const getServerSideProps = withServerSideProvenance(
+  async ({ params }) => {
+    const filter = parseGenderSubject(params?.gendersubject, await getFacets());
+    if (!filter) {
+      return { notFound: true };
+    }
+    const { gender, subject } = filter;
+    const { results } = await getStudentRepository().query(filter);
+    return {
+      props: {
+        students: results,
+        gender: gender || null,
+        subject: subject || null,
+      },
+    };
+  },
+  (props) => props.students
+);
 
 export default function GenderSubjectCatchAllPage({
   students,
   gender,
   subject,
 }) {
+  const { t, genderName, subjectName } = useTranslation();
   return (
     <div style={{ padding: "24px", maxWidth: "800px", margin: "0 auto" }}>
-      <h1>Students by Gender and Subject (SSR, Catch-All)</h1>
+      <h1>{t("genderSubjectPage.titleCatchAllSsr")}</h1>
       <p>
-        Filtering by Gender: {gender}, Subject: {subject}
+        {t("common.filteringBy", {
+          gender: gender ? genderName(gender) : t("common.all"),
+          subject: subject ? subjectName(subject) : t("common.all"),
+        })}
       </p>
+      <ExportButton filter={{ gender, subject }} />
       <StudentList students={students} />
     </div>
   );
@@ -28,16 +28,22 @@
  * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
  */
 
+import { useRouter } from "next/router";
+import ExportButton from "../../../../components/ExportButton";
+import LoadingSkeleton from "../../../../components/LoadingSkeleton";
 import StudentList from "../../../../components/StudentList";
-import {
-  filterByGender,
-  filterBySubject,
-  students,
-} from "../../../../utils/students";
+import useTranslation from "../../../../hooks/useTranslation";
+import { facetValues, getFacets } from "../../../../utils/facets";
+import { pathsForLocales } from "../../../../utils/i18n";
+import { withStaticProvenance } from "../../../../utils/provenance";
+import { getStudentRepository } from "../../../../utils/repository";
+import { parseGenderSubject } from "../../../../utils/routeParams";
+import { SSG_FALLBACK, SSG_REVALIDATE } from "../../../../utils/ssg";
 
-export async function getStaticPaths() {
-  const genders = ["male", "female"];
-  const subjects = ["Physics", "Mathematics", "Computer Science", "Medicine"];
+export async function getStaticPaths({ locales }) {
+  const facets = await getFacets();
+  const genders = facetValues(facets.gender);
+  const subjects = facetValues(facets.subject);
   const paths = [];
   genders.forEach((gender) => {
     subjects.forEach((subject) => {
@@ -45,29 +51,51 @@ export async function getStaticPaths() {
     });
   });
   return {
-    paths,
-    fallback: false,
+    paths: pathsForLocales(paths, locales),
+    fallback: SSG_FALLBACK, // Subjects added after the build are generated on demand
   };
 }
 
-export async function getStaticProps({ params }) {
-  const { gender, subject } = params;
-  let filteredStudents = students;
-  if (gender) filteredStudents = filterByGender(filteredStudents, gender);
-  if (subject) filteredStudents = filterBySubject(filteredStudents, subject);
-  return {
-    props: { students: filteredStudents, gender, subject },
-  };
-}
+export const getStaticProps = withStaticProvenance(
+  async ({ params }) => {
+    const filter = parseGenderSubject(
+      [params.gender, params.subject],
+      await getFacets()
+    );
+    if (!filter) {
+      return { notFound: true, revalidate: SSG_REVALIDATE };
+    }
+    const { gender, subject } = filter;
+    const { results } = await getStudentRepository().query(filter);
+    return {
+      props: { students: results, gender, subject },
+      revalidate: SSG_REVALIDATE,
+    };
+  },
+  (props) => props.students
+);
 
 export default function GenderSubjectPage({ students, gender, subject }) {
+  const { t, genderName, subjectName } = useTranslation();
+  const router = useRouter();
+
   return (
     <div style={{ padding: "24px", maxWidth: "800px", margin: "0 auto" }}>
-      <h1>Students by Gender and Subject (SSG)</h1>
-      <p>
-        Filtering by Gender: {gender}, Subject: {subject}
-      </p>
-      <StudentList students={students} linkBase="/students/idfilterssg" />
+      <h1>{t("genderSubjectPage.titleSsg")}</h1>
+      {router.isFallback ? (
+        <LoadingSkeleton variant="list" />
+      ) : (
+        <>
+          <p>
+            {t("common.filteringBy", {
+              gender: gender ? genderName(gender) : t("common.all"),
+              subject: subject ? subjectName(subject) : t("common.all"),
+            })}
+          </p>
+          <ExportButton filter={{ gender, subject }} />
+          <StudentList students={students} linkBase="/students/idfilterssg" />
+        </>
+      )}
     </div>
   );
 }
@@ -28,31 +28,64 @@
  * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
  */
 
+import { useRouter } from "next/router";
+import LoadingSkeleton from "../../../components/LoadingSkeleton";
 import StudentCard from "../../../components/StudentCard";
-import { findById, students } from "../../../utils/students";
+import useTranslation from "../../../hooks/useTranslation";
+import { birthdayDetails } from "../../../utils/dates";
+import { pathsForLocales } from "../../../utils/i18n";
+import { timeGetStaticProps } from "../../../utils/metrics";
+import { withStaticProvenance } from "../../../utils/provenance";
+import { getStudentRepository } from "../../../utils/repository";
+import { SSG_FALLBACK, SSG_REVALIDATE } from "../../../utils/ssg";
 
-export async function getStaticPaths() {
+export async function getStaticPaths({ locales }) {
+  const students = await getStudentRepository().list();
   const paths = students.map((student) => ({
     params: { ID: student.ID },
   }));
   return {
-    paths,
-    fallback: false,
+    paths: pathsForLocales(paths, locales),
+    fallback: SSG_FALLBACK, // Students added after the build are generated on demand
   };
 }
 
-export async function getStaticProps({ params }) {
-  const student = findById(students, params.ID);
-  return {
-    props: { student },
-  };
-}
+// Timed for the rendering comparison on /metrics
+export const getStaticProps = timeGetStaticProps(
+  "/students/idfilterssg/[ID]",
+  withStaticProvenance(
+    async ({ params }) => {
+      const student = await getStudentRepository().get(params.ID);
+      if (!student) {
+        return { notFound: true, revalidate: SSG_REVALIDATE };
+      }
+      return {
+        // Computed when the page is (re)generated; ISR serves one stale copy
+        // before regenerating, so the age may be a day behind around a birthday
+        props: { student, birthday: birthdayDetails(student.birthdate) },
+        revalidate: SSG_REVALIDATE,
+      };
+    },
+    (props) => props.student
+  )
+);
+
+export default function StudentPage({ student, birthday }) {
+  const { t } = useTranslation();
+  const router = useRouter();
 
-export default function StudentPage({ student }) {
   return (
     <div style={{ padding: "24px", maxWidth: "800px", margin: "0 auto" }}>
-      <h1>Student Details (SSG)</h1>
-      <StudentCard student={student} linkBase="/students/idfilterssg" />
+      <h1>{t("studentPage.titleSsg")}</h1>
+      {router.isFallback ? (
+        <LoadingSkeleton />
+      ) : (
+        <StudentCard
+          student={student}
+          birthday={birthday}
+          linkBase="/students/idfilterssg"
+        />
+      )}
     </div>
   );
 }
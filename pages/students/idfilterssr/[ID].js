@@ -29,20 +29,35 @@
  */
 
 import StudentCard from "../../../components/StudentCard";
-import { findById, students } from "../../../utils/students";
+import useTranslation from "../../../hooks/useTranslation";
+import { birthdayDetails } from "../../../utils/dates";
+import { timeGetServerSideProps } from "../../../utils/metrics";
+import { withServerSideProvenance } from "../../../utils/provenance";
+import { getStudentRepository } from "../../../utils/repository";
 
-export async function getServerSideProps({ params }) {
-  const student = findById(students, params.ID);
-  return {
-    props: { student },
-  };
-}
+// Timed for the rendering comparison on /metrics
+export const getServerSideProps = timeGetServerSideProps(
+  "/students/idfilterssr/[ID]",
+  withServerSideProvenance(
+    async ({ params }) => {
+      const student = await getStudentRepository().get(params.ID);
+      if (!student) {
+        return { notFound: true };
+      }
+      return {
+        props: { student, birthday: birthdayDetails(student.birthdate) },
+      };
+    },
+    (props) => props.student
+  )
+);
 
-export default function StudentPage({ student }) {
+export default function StudentPage({ student, birthday }) {
+  const { t } = useTranslation();
   return (
     <div style={{ padding: "24px", maxWidth: "800px", margin: "0 auto" }}>
-      <h1>Student Details (SSR)</h1>
-      <StudentCard student={student} />
+      <h1>{t("studentPage.titleSsr")}</h1>
+      <StudentCard student={student} birthday={birthday} />
     </div>
   );
 }
@@ -0,0 +1,280 @@
+/*
+ * import.js - Upload page for importing students from CSV or JSON
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import Link from "next/link";
+import { useState } from "react";
+import useTranslation from "../../hooks/useTranslation";
+
+const cellStyle = {
+  padding: "8px",
+  borderBottom: "1px solid #ccc",
+  textAlign: "left",
+  verticalAlign: "top",
+};
+
+const linkStyle = { color: "#1a73e8", textDecoration: "underline" };
+
+// One table per plan category; `describe` renders the last column
+function PlanTable({ title, entries, describe }) {
+  const { t } = useTranslation();
+  if (entries.length === 0) return null;
+  return (
+    <section style={{ marginBottom: "24px" }}>
+      <h2 style={{ fontSize: "1.25rem", marginBottom: "8px" }}>
+        {title} ({entries.length})
+      </h2>
+      <table style={{ width: "100%", borderCollapse: "collapse" }}>
+        <thead>
+          <tr>
+            <th style={cellStyle}>{t("importPage.row")}</th>
+            <th style={cellStyle}>{t("importPage.student")}</th>
+            <th style={cellStyle}>{t("importPage.details")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {entries.map((entry) => {
+            // Invalid JSON entries may be anything, e.g. null or a number
+            const data = entry.student || entry.data;
+            const student = data && typeof data === "object" ? data : {};
+            return (
+              <tr key={entry.row}>
+                <td style={cellStyle}>{entry.row}</td>
+                <td style={cellStyle}>
+                  {[student.firstname, student.lastname]
+                    .filter(Boolean)
+                    .join(" ") || "–"}{" "}
+                  ({student.ID || t("importPage.newId")})
+                </td>
+                <td style={cellStyle}>{describe(entry)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </section>
+  );
+}
+
+function errorMessage(body, response, t) {
+  const error = body?.error;
+  if (!error) {
+    return t("importPage.requestFailed", { status: response.status });
+  }
+  return error.details
+    ? `${error.message}: ${Object.entries(error.details)
+        .map(([field, message]) => `${field} ${message}`)
+        .join(", ")}`
+    : error.message;
+}
+
+export default function ImportPage() {
+  const { t, validationMessage } = useTranslation();
+  const [file, setFile] = useState(null);
+  const [plan, setPlan] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  // Checks the file (commit = false) or imports it (commit = true)
+  const send = async (commit) => {
+    setBusy(true);
+    setError(null);
+    try {
+      const format = file.name.toLowerCase().endsWith(".json") ? "json" : "csv";
+      const response = await fetch(
+        `/api/students/import?format=${format}${commit ? "&commit=true" : ""}`,
+        {
+          method: "POST",
+          headers: {
+            "Content-Type": format === "json" ? "application/json" : "text/csv",
+          },
+          body: await file.text(),
+        }
+      );
+      const body = await response.json().catch(() => null);
+      if (!response.ok) throw new Error(errorMessage(body, response, t));
+      if (commit) {
+        setResult(body);
+        setPlan(null);
+      } else {
+        setPlan(body);
+      }
+    } catch (requestError) {
+      setError(requestError.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const writes = plan ? plan.summary.create + plan.summary.update : 0;
+
+  return (
+    <div style={{ padding: "24px", maxWidth: "800px", margin: "0 auto" }}>
+      <h1 style={{ fontSize: "2rem", marginBottom: "16px" }}>
+        {t("importPage.title")}
+      </h1>
+      <p style={{ marginBottom: "16px" }}>
+        {t("importPage.intro", {
+          columns: (
+            <code>
+              ID,firstname,lastname,gender,birthdate,studysubject,city
+            </code>
+          ),
+          link: (
+            <Link href="/students/all" style={linkStyle}>
+              /students/all
+            </Link>
+          ),
+        })}
+      </p>
+
+      <div style={{ marginBottom: "24px" }}>
+        <label
+          htmlFor="file"
+          style={{ marginRight: "8px", fontWeight: "bold" }}
+        >
+          {t("importPage.file")}
+        </label>
+        <input
+          id="file"
+          type="file"
+          accept=".csv,.json,text/csv,application/json"
+          onChange={(e) => {
+            setFile(e.target.files[0] || null);
+            setPlan(null);
+            setResult(null);
+            setError(null);
+          }}
+          style={{ marginRight: "8px" }}
+        />
+        <button
+          type="button"
+          disabled={!file || busy}
+          onClick={() => send(false)}
+          style={{ padding: "8px 16px" }}
+        >
+          {t("importPage.check")}
+        </button>
+      </div>
+
+      {busy && <p role="status">{t("importPage.working")}</p>}
+      {error && (
+        <p role="alert" style={{ color: "#d93025", marginBottom: "16px" }}>
+          {error}
+        </p>
+      )}
+
+      {plan && (
+        <>
+          <p style={{ marginBottom: "16px" }}>
+            {t("importPage.dryRun", plan.summary)}
+          </p>
+          <PlanTable
+            title={t("importPage.created")}
+            entries={plan.create}
+            describe={({ student }) =>
+              `${student.studysubject}, ${student.city}`
+            }
+          />
+          <PlanTable
+            title={t("importPage.updated")}
+            entries={plan.update}
+            describe={({ changes }) =>
+              changes
+                .map(({ field, from, to }) => `${field}: ${from} → ${to}`)
+                .join("; ")
+            }
+          />
+          <PlanTable
+            title={t("importPage.duplicate")}
+            entries={plan.duplicate}
+            describe={({ reason }) => reason}
+          />
+          <PlanTable
+            title={t("importPage.invalid")}
+            entries={plan.invalid}
+            describe={({ errors }) =>
+              Object.entries(errors)
+                .map(([field, message]) =>
+                  field === "_"
+                    ? validationMessage(message)
+                    : t("studentForm.fieldError", {
+                        field,
+                        message: validationMessage(message),
+                      })
+                )
+                .join("; ")
+            }
+          />
+          <button
+            type="button"
+            disabled={writes === 0 || busy}
+            onClick={() => send(true)}
+            style={{ padding: "8px 16px" }}
+          >
+            {t("importPage.submit", plan.summary)}
+          </button>
+        </>
+      )}
+
+      {result && (
+        <div role="status">
+          <p style={{ marginBottom: "16px" }}>
+            {t("importPage.imported", {
+              created: result.created.length,
+              updated: result.updated.length,
+            })}
+            {result.failed.length > 0 &&
+              ` ${t("importPage.failed", {
+                count: result.failed.length,
+                rows: result.failed
+                  .map(({ row, reason }) =>
+                    t("importPage.failedRow", { row, reason })
+                  )
+                  .join(", "),
+              })}`}
+          </p>
+          <ul style={{ listStyle: "disc", paddingLeft: "20px" }}>
+            {[...result.created, ...result.updated].map((student) => (
+              <li key={student.ID}>
+                <Link
+                  href={`/students/idfilterssr/${student.ID}`}
+                  style={linkStyle}
+                >
+                  {student.firstname} {student.lastname} ({student.ID})
+                </Link>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -28,39 +28,61 @@
  * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
  */
 
+import RegenerationStatus from "../../components/RegenerationStatus";
 import StudentList from "../../components/StudentList";
-import { students } from "../../utils/students";
+import useTranslation from "../../hooks/useTranslation";
+import { timeGetStaticProps } from "../../utils/metrics";
+import { withStaticProvenance } from "../../utils/provenance";
+import { getStudentRepository } from "../../utils/repository";
 
-export async function getStaticProps() {
-  // Get the current timestamp when the page is generated
-  const generatedAt = new Date().toLocaleString();
+// Seconds after which a request regenerates the page
+const REVALIDATE = 60;
 
-  return {
-    props: { students, generatedAt },
-    revalidate: 60, // Regenerate every 60 seconds
-  };
-}
+// Timed for the rendering comparison on /metrics
+export const getStaticProps = timeGetStaticProps(
+  "/students/isr",
+  withStaticProvenance(
+    async () => {
+      const students = await getStudentRepository().list();
+
+      // The time the page is generated, as an ISO timestamp so that the browser
+      // can show it in the viewer's time zone
+      const generatedAt = new Date().toISOString();
+
+      return {
+        props: { students, generatedAt },
+        revalidate: REVALIDATE,
+      };
+    },
+    (props) => props.students
+  )
+);
 
 export default function AllStudentsISRPage({ students, generatedAt }) {
+  const { t } = useTranslation();
+
   return (
     <div style={{ padding: "24px", maxWidth: "800px", margin: "0 auto" }}>
       <h1 style={{ fontSize: "2rem", marginBottom: "16px" }}>
-        All Students (ISR)
+        {t("isr.title")}
       </h1>
       <div>
         <p style={{ marginBottom: "16px" }}>
-          This page demonstrates{" "}
-          <strong>Incremental Static Regeneration (ISR)</strong>. The student
-          list below is prerendered at build time and regenerated every 60
-          seconds server-side to reflect any updates to the student data. <br />
+          {t("isr.intro", {
+            mode: <strong>{t("isr.mode")}</strong>,
+            seconds: REVALIDATE,
+          })}{" "}
+          <br />
+          <br />
+          <RegenerationStatus
+            generatedAt={generatedAt}
+            revalidate={REVALIDATE}
+          />
           <br />
-          The page was last generated at: <strong>{generatedAt}</strong>.<br />
-          Refresh page to confirm the regeneration.
+          {t("isr.refresh")}
         </p>
         <p style={{ marginBottom: "16px", color: "red", fontWeight: "bold" }}>
-          Note: The development build does not demonstrate Incremental Static
-          Regeneration (ISR) properly. Please use a production build to
-          experience this feature as intended. <br />
+          {t("isr.devNote")} <br />
         </p>
       </div>
       <StudentList students={students} />
@@ -0,0 +1,131 @@
+/*
+ * [name].js - SSR route for looking students up by first or last name
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import Link from "next/link";
+import useTranslation from "../../../hooks/useTranslation";
+import { localizedPath } from "../../../utils/i18n";
+import { withServerSideProvenance } from "../../../utils/provenance";
+import { findStudentsByName } from "../../../utils/nameLookup";
+import { slugify } from "../../../utils/slug";
+
+const cellStyle = { padding: "12px", border: "1px solid #ccc" };
+const linkStyle = {
+  color: "#1a73e8",
+  textDecoration: "underline",
+};
+
+// Looks students up by first or last name (e.g. /students/name/Weber),
+// ignoring case. A single match redirects to the student's detail page, so a
+// unique surname works like an ID; several matches are listed to choose from.
+export const getServerSideProps = withServerSideProvenance(
+  async ({ params, locale }) => {
+    const name = params.name.trim();
+    // A blank name would not filter at all and list every student
+    if (!name) {
+      return { notFound: true };
+    }
+    const { results } = await findStudentsByName(name);
+    if (results.length === 0) {
+      return { notFound: true };
+    }
+    if (results.length === 1) {
+      return {
+        redirect: {
+          destination: localizedPath(
+            `/students/idfilterssr/${results[0].ID}`,
+            locale
+          ),
+          permanent: false,
+        },
+      };
+    }
+    return {
+      props: { students: results, name },
+    };
+  },
+  (props) => props.students
+);
+
+export default function NameLookupPage({ students, name }) {
+  const { t, formatDate, subjectName } = useTranslation();
+  return (
+    <div style={{ padding: "24px", maxWidth: "800px", margin: "0 auto" }}>
+      <h1 style={{ fontSize: "2rem", marginBottom: "16px" }}>
+        {t("namePage.title", { name })}
+      </h1>
+      <p style={{ marginBottom: "16px" }}>
+        {t("namePage.intro", { count: students.length, name })}
+      </p>
+      <table
+        style={{
+          width: "100%",
+          borderCollapse: "collapse",
+          border: "1px solid #ccc",
+          textAlign: "left",
+        }}
+      >
+        <thead>
+          <tr style={{ backgroundColor: "#f4f4f4" }}>
+            <th style={cellStyle}>{t("namePage.name")}</th>
+            <th style={cellStyle}>{t("namePage.id")}</th>
+            <th style={cellStyle}>{t("namePage.birthdate")}</th>
+            <th style={cellStyle}>{t("namePage.subject")}</th>
+            <th style={cellStyle}>{t("namePage.city")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {students.map((student) => (
+            <tr key={student.ID}>
+              <td style={cellStyle}>
+                <Link
+                  href={`/students/idfilterssr/${student.ID}`}
+                  style={linkStyle}
+                >
+                  {student.lastname}, {student.firstname}
+                </Link>
+              </td>
+              <td style={cellStyle}>{student.ID}</td>
+              <td style={cellStyle}>{formatDate(student.birthdate)}</td>
+              <td style={cellStyle}>{subjectName(student.studysubject)}</td>
+              <td style={cellStyle}>
+                <Link
+                  href={`/students/city/${slugify(student.city)}`}
+                  style={linkStyle}
+                >
+                  {student.city}
+                </Link>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
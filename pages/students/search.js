@@ -0,0 +1,97 @@
+/*
+ * search.js - SSR page for fuzzy, accent-insensitive student search
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import ExportButton from "../../components/ExportButton";
+import StudentList from "../../components/StudentList";
+import useTranslation from "../../hooks/useTranslation";
+import { localizedPath } from "../../utils/i18n";
+import { withServerSideProvenance } from "../../utils/provenance";
+import { getStudentRepository } from "../../utils/repository";
+import { searchStudents } from "../../utils/search";
+
+export const getServerSideProps = withServerSideProvenance(
+  async ({ query }) => {
+    const q = typeof query.q === "string" ? query.q.trim() : "";
+    const results = q
+      ? searchStudents(await getStudentRepository().list(), q)
+      : [];
+
+    return {
+      props: {
+        q,
+        students: results.map((result) => result.student),
+        matches: Object.fromEntries(
+          results.map((result) => [result.student.ID, result.matches])
+        ),
+      },
+    };
+  },
+  (props) => props.students
+);
+
+export default function SearchPage({ q, students, matches }) {
+  const { t, locale } = useTranslation();
+  return (
+    <div style={{ padding: "24px", maxWidth: "800px", margin: "0 auto" }}>
+      <h1 style={{ fontSize: "2rem", marginBottom: "16px" }}>
+        {t("searchPage.title")}
+      </h1>
+      <p style={{ marginBottom: "16px" }}>{t("searchPage.intro")}</p>
+      {/* A plain GET form, so the search works without JavaScript */}
+      <form
+        action={localizedPath("/students/search", locale)}
+        method="get"
+        role="search"
+      >
+        <label htmlFor="q" style={{ marginRight: "8px", fontWeight: "bold" }}>
+          {t("searchPage.label")}
+        </label>
+        <input
+          id="q"
+          name="q"
+          type="search"
+          defaultValue={q}
+          placeholder={t("searchPage.placeholder")}
+          style={{
+            padding: "8px",
+            marginRight: "8px",
+            borderRadius: "4px",
+            border: "1px solid #ccc",
+          }}
+        />
+        <button type="submit" style={{ padding: "8px 16px" }}>
+          {t("searchPage.submit")}
+        </button>
+      </form>
+      {q && <ExportButton filter={{ q }} />}
+      {q && <StudentList students={students} matches={matches} />}
+    </div>
+  );
+}
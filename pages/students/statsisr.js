@@ -0,0 +1,64 @@
+/*
+ * statsisr.js - Incremental Static Regeneration page with student statistics
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import StatsDashboard from "../../components/StatsDashboard";
+import useTranslation from "../../hooks/useTranslation";
+import { withStaticProvenance } from "../../utils/provenance";
+import { SSG_REVALIDATE } from "../../utils/ssg";
+import { getStats } from "../../utils/stats";
+
+export const getStaticProps = withStaticProvenance(
+  async () => {
+    return {
+      props: { stats: await getStats() },
+      revalidate: SSG_REVALIDATE,
+    };
+  },
+  (props) => props.stats
+);
+
+export default function StatsISRPage({ stats }) {
+  const { t } = useTranslation();
+  return (
+    <div style={{ padding: "24px", maxWidth: "800px", margin: "0 auto" }}>
+      <h1 style={{ fontSize: "2rem", marginBottom: "16px" }}>
+        {t("statsPage.titleIsr")}
+      </h1>
+      <p style={{ marginBottom: "16px" }}>
+        {t("statsPage.introIsr", {
+          mode: <strong>{t("statsPage.modeIsr")}</strong>,
+          seconds: SSG_REVALIDATE,
+          link: <code>/students/stats</code>,
+        })}
+      </p>
+      <StatsDashboard stats={stats} />
+    </div>
+  );
+}
@@ -0,0 +1,51 @@
+/*
+ * api.js - Shared helpers for the student API routes
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+// Sends a JSON error body in the shape shared by all student API routes:
+// { error: { code, message, details? } }
+export function sendError(res, status, code, message, details) {
+  const error = { code, message };
+  if (details) error.details = details;
+  return res.status(status).json({ error });
+}
+
+// Rejects requests whose method is not listed, setting the Allow header.
+// Returns true when the request may proceed.
+export function allowMethods(req, res, methods) {
+  if (methods.includes(req.method)) return true;
+  res.setHeader("Allow", methods.join(", "));
+  sendError(res, 405, "METHOD_NOT_ALLOWED", `Method ${req.method} not allowed`);
+  return false;
+}
+
+// Query values arrive as strings or arrays (?a=1&a=2); use the first one.
+export function firstValue(value) {
+  return Array.isArray(value) ? value[0] : value;
+}
@@ -0,0 +1,50 @@
+/*
+ * auth.js - Secret check for the API routes that change cached or recorded data
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import { timingSafeEqual } from "crypto";
+import { firstValue } from "./api";
+
+// Server-only: kept out of utils/api.js so that client code importing
+// firstValue does not pull the crypto polyfill into the browser bundle.
+
+// Checks the secret sent in the x-revalidate-secret header (or ?secret=)
+// against REVALIDATE_SECRET, which guards the routes that change cached or
+// recorded data. Without a configured secret nobody is authorized.
+export function isAuthorized(req) {
+  const secret = process.env.REVALIDATE_SECRET;
+  const token =
+    req.headers["x-revalidate-secret"] || firstValue(req.query.secret);
+  if (!secret || typeof token !== "string") return false;
+  const expected = Buffer.from(secret);
+  const received = Buffer.from(token);
+  return (
+    expected.length === received.length && timingSafeEqual(expected, received)
+  );
+}
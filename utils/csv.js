@@ -0,0 +1,124 @@
+/*
+ * csv.js - CSV reader and writer for student imports and exports
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+// CSV as Excel and most spreadsheet tools expect it (RFC 4180): comma
+// separated, CRLF line endings, fields quoted when they contain a comma,
+// quote or line break.
+
+// Byte order mark; without it Excel reads UTF-8 files as Windows-1252 and
+// shows "MÃ¼ller" instead of "Müller"
+export const UTF8_BOM = "\uFEFF";
+
+// Spreadsheets run cells starting with these characters as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function escapeField(value) {
+  let text = value === undefined || value === null ? "" : String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Writes objects as CSV with a header row of the given columns
+export function toCsv(rows, columns) {
+  return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((fields) => fields.map(escapeField).join(","))
+    .join("\r\n")
+    .concat("\r\n");
+}
+
+// Removes the quote toCsv puts before a value that looks like a formula, so
+// that exported files can be imported again unchanged ("'=Sum" -> "=Sum").
+// Other values are returned as they are.
+export function unescapeFormula(text) {
+  return text.startsWith("'") && FORMULA_START.test(text.slice(1))
+    ? text.slice(1)
+    : text;
+}
+
+// Reads CSV text into an array of { line, fields } records, where line is the
+// 1-based line the record starts on, counting blank lines and the line breaks
+// inside quoted fields. Accepts the output of toCsv and of common spreadsheet
+// tools: a leading byte order mark, quoted fields with "" escapes and line
+// breaks, CRLF or LF line endings. Blank lines are skipped. Throws on an
+// unterminated quoted field.
+export function parseCsvRecords(text) {
+  const records = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  let index = text.startsWith(UTF8_BOM) ? 1 : 0;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== "") {
+      records.push({ line: rowLine, fields: row });
+    }
+    row = [];
+    field = "";
+    rowLine = line + 1;
+  };
+
+  for (; index < text.length; index++) {
+    const char = text[index];
+    if (quoted) {
+      if (char !== '"') field += char;
+      else if (text[index + 1] === '"') field += text[index++];
+      else quoted = false;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[index + 1] === "\n") index++;
+      endRow();
+    } else {
+      field += char;
+    }
+    // A line ends at LF, or at a CR that is not part of CRLF
+    if (
+      text[index] === "\n" ||
+      (text[index] === "\r" && text[index + 1] !== "\n")
+    ) {
+      line++;
+    }
+  }
+  if (quoted) throw new Error("Unterminated quoted field");
+  if (field !== "" || row.length > 0) endRow();
+  return records;
+}
+
+// Reads CSV text into an array of rows, each an array of field strings (see
+// parseCsvRecords)
+export function parseCsv(text) {
+  return parseCsvRecords(text).map(({ fields }) => fields);
+}
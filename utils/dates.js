@@ -0,0 +1,137 @@
+/*
+ * dates.js - Age and date helpers for ISO birthdates
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+// Birthdates are ISO calendar dates (YYYY-MM-DD) without a time zone, so all
+// calculations here use UTC to avoid being shifted by the server's zone.
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function toIsoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// The Date (UTC midnight) for a YYYY-MM-DD string, or null when the string
+// is not in that format or names a day that does not exist (2001-02-30)
+export function parseIsoDate(value) {
+  if (typeof value !== "string" || !ISO_DATE_PATTERN.test(value)) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  // Date silently rolls invalid days over into the next month
+  return !isNaN(date) && toIsoDate(date) === value ? date : null;
+}
+
+// Why `value` is not a valid birthdate on `date` as a validation code
+// ("date" or "future", see utils/studentSchema.js), or null when it is
+export function birthdateError(value, date = new Date()) {
+  if (!parseIsoDate(value)) return "date";
+  return value > toIsoDate(date) ? "future" : null;
+}
+
+function isLeapYear(year) {
+  return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+function pad(number) {
+  return String(number).padStart(2, "0");
+}
+
+// The birthday in `year` of someone born on month/day. People born on
+// 29 February celebrate on 28 February in common years.
+function birthdayIn(year, month, day) {
+  const shifted = month === 2 && day === 29 && !isLeapYear(year) ? 28 : day;
+  return `${year}-${pad(month)}-${pad(shifted)}`;
+}
+
+// Age in whole years on `date` of someone born on `birthdate`
+export function ageOn(birthdate, date = new Date()) {
+  const [year, month, day] = birthdate.split("-").map(Number);
+  const thisYear = date.getUTCFullYear();
+  const hadBirthday = toIsoDate(date) >= birthdayIn(thisYear, month, day);
+  return hadBirthday ? thisYear - year : thisYear - year - 1;
+}
+
+// The date `years` years before `date`, as YYYY-MM-DD: the latest birthdate
+// of someone who is at least `years` old on `date` (see ageOn)
+export function yearsBefore(date, years) {
+  const [year, month, day] = toIsoDate(date).split("-").map(Number);
+  const target = year - years;
+  // On 28 February of a common year, leap day babies have had their birthday
+  if (month === 2 && day === 28 && !isLeapYear(year) && isLeapYear(target)) {
+    return `${target}-02-29`;
+  }
+  return birthdayIn(target, month, day);
+}
+
+// Whole days from one YYYY-MM-DD date to another
+export function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+}
+
+// The first birthday on or after `date`, as YYYY-MM-DD
+export function nextBirthday(birthdate, date = new Date()) {
+  const [, month, day] = birthdate.split("-").map(Number);
+  const today = toIsoDate(date);
+  const thisYear = birthdayIn(date.getUTCFullYear(), month, day);
+  return thisYear >= today
+    ? thisYear
+    : birthdayIn(date.getUTCFullYear() + 1, month, day);
+}
+
+// Fields derived from a birthdate on `date`:
+// { age, nextBirthday, daysUntilBirthday, turning }, where `turning` is the
+// age reached on nextBirthday (daysUntilBirthday is 0 on the birthday)
+export function birthdayDetails(birthdate, date = new Date()) {
+  const next = nextBirthday(birthdate, date);
+  return {
+    age: ageOn(birthdate, date),
+    nextBirthday: next,
+    daysUntilBirthday: daysBetween(toIsoDate(date), next),
+    turning: Number(next.slice(0, 4)) - Number(birthdate.slice(0, 4)),
+  };
+}
+
+function addDays(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toIsoDate(date);
+}
+
+// Converts an age range into the inclusive birthdate range { from, to } it
+// covers on `date`; either bound may be undefined. Someone aged at most 24
+// was born at least a day after the date 25 years ago.
+export function birthdateRangeForAges({ minAge, maxAge }, date = new Date()) {
+  return {
+    from:
+      maxAge !== undefined
+        ? addDays(yearsBefore(date, maxAge + 1), 1)
+        : undefined,
+    to: minAge !== undefined ? yearsBefore(date, minAge) : undefined,
+  };
+}
@@ -0,0 +1,64 @@
+/*
+ * facets.js - Distinct gender, subject and city values with counts
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import { getStudentRepository } from "./repository";
+
+// Student fields that can be filtered on, keyed by facet name
+const FACET_FIELDS = {
+  gender: "gender",
+  subject: "studysubject",
+  city: "city",
+};
+
+// Counts the distinct values of gender, subject and city, in the order they
+// first appear in the data:
+// { gender: [{ value: "female", count: 20 }, ...], subject: [...], city: [...] }
+export function computeFacets(students) {
+  const facets = {};
+  Object.entries(FACET_FIELDS).forEach(([facet, field]) => {
+    const counts = new Map();
+    students.forEach((student) => {
+      const value = student[field];
+      counts.set(value, (counts.get(value) || 0) + 1);
+    });
+    facets[facet] = [...counts].map(([value, count]) => ({ value, count }));
+  });
+  return facets;
+}
+
+// Facets of every student in the configured repository
+export async function getFacets() {
+  return computeFacets(await getStudentRepository().list());
+}
+
+// Just the values of one facet, e.g. ["female", "male"]
+export function facetValues(facet) {
+  return facet.map(({ value }) => value);
+}
@@ -0,0 +1,146 @@
+/*
+ * i18n.js - Message catalogues and locale-aware formatting
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import { Fragment, createElement } from "react";
+import de from "../locales/de.json";
+import en from "../locales/en.json";
+
+// Must match the i18n settings in next.config.mjs
+export const LOCALES = ["en", "de"];
+export const DEFAULT_LOCALE = "en";
+
+const CATALOGUES = { en, de };
+
+// Looks a message up by path (["subjects", "Physics"] or "csr.title") in the
+// locale's catalogue, falling back to English. Undefined when neither has it.
+export function lookup(locale, path) {
+  const keys = Array.isArray(path) ? path : path.split(".");
+  for (const catalogue of [CATALOGUES[locale], CATALOGUES[DEFAULT_LOCALE]]) {
+    const message = keys.reduce((node, key) => node?.[key], catalogue);
+    if (typeof message === "string") return message;
+  }
+  return undefined;
+}
+
+// Fills the {name} placeholders of a message. Values may be React elements
+// (e.g. a link inside a sentence); the result is then a fragment instead of
+// a string. Missing messages render as their key, so they are easy to spot.
+export function translate(locale, key, params = {}) {
+  const message = lookup(locale, key) ?? key;
+  const parts = message.split(/\{(\w+)\}/);
+  if (parts.length === 1) return message;
+
+  const values = parts.map((part, index) =>
+    index % 2 === 1 && part in params ? params[part] : part
+  );
+  if (values.every((value) => typeof value !== "object")) {
+    return values.join("");
+  }
+  return createElement(
+    Fragment,
+    null,
+    ...values.map((value, index) =>
+      typeof value === "object"
+        ? createElement(Fragment, { key: index }, value)
+        : value
+    )
+  );
+}
+
+// A YYYY-MM-DD date such as a birthdate, e.g. "June 22, 1997" or
+// "22. Juni 1997". Formatted in UTC, since the date has no time zone.
+export function formatDate(isoDate, locale) {
+  return new Intl.DateTimeFormat(locale, {
+    dateStyle: "long",
+    timeZone: "UTC",
+  }).format(new Date(`${isoDate}T00:00:00Z`));
+}
+
+// The name of a month (1-12), e.g. "June" or "Juni"
+export function formatMonth(month, locale) {
+  return new Intl.DateTimeFormat(locale, {
+    month: "long",
+    timeZone: "UTC",
+  }).format(new Date(Date.UTC(2000, month - 1, 1)));
+}
+
+// An ISO timestamp with date and time. The time zone is fixed (UTC by
+// default), so the server and the browser render the same text.
+export function formatDateTime(isoTimestamp, locale, timeZone = "UTC") {
+  return new Intl.DateTimeFormat(locale, {
+    dateStyle: "medium",
+    timeStyle: "long",
+    timeZone,
+  }).format(new Date(isoTimestamp));
+}
+
+// A duration relative to now, e.g. "12 seconds ago", "in 1 minute" or
+// "vor 2 Minuten". Negative seconds lie in the past.
+export function formatRelativeTime(seconds, locale) {
+  const format = new Intl.RelativeTimeFormat(locale, { numeric: "auto" });
+  const abs = Math.abs(seconds);
+  if (abs < 60) return format.format(Math.round(seconds), "second");
+  if (abs < 3600) return format.format(Math.trunc(seconds / 60), "minute");
+  if (abs < 86400) return format.format(Math.trunc(seconds / 3600), "hour");
+  return format.format(Math.trunc(seconds / 86400), "day");
+}
+
+// Data values (subjects, genders) are stored in English; unknown ones, e.g.
+// a newly added subject, are shown as stored
+export function subjectName(subject, locale) {
+  return lookup(locale, ["subjects", subject]) ?? subject;
+}
+
+export function genderName(gender, locale) {
+  return lookup(locale, ["genders", gender]) ?? gender;
+}
+
+// A validationError (utils/studentSchema.js) in the locale, looked up by its
+// code; unknown codes are shown with the English message the API sent
+export function validationMessage({ code, message, values }, locale) {
+  if (lookup(locale, ["validation", code]) === undefined) return message;
+  return translate(locale, `validation.${code}`, {
+    values: values?.join(", "),
+  });
+}
+
+// The URL of a page in a locale; the default locale has no prefix
+export function localizedPath(path, locale) {
+  if (locale === DEFAULT_LOCALE) return path;
+  return path === "/" ? `/${locale}` : `/${locale}${path}`;
+}
+
+// getStaticPaths entries for every locale. Paths without a locale are only
+// prerendered for the default one; the rest would wait for the fallback.
+export function pathsForLocales(paths, locales = LOCALES) {
+  return locales.flatMap((locale) =>
+    paths.map((path) => ({ ...path, locale }))
+  );
+}
@@ -0,0 +1,161 @@
+/*
+ * importStudents.js - Reads and checks student imports from CSV or JSON
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import { parseCsvRecords, unescapeFormula } from "./csv";
+import { STUDENT_FIELDS, validateStudent } from "./studentSchema";
+import { findById } from "./students";
+
+export const IMPORT_FORMATS = ["csv", "json"];
+
+// Header names are matched case-insensitively (id, FirstName, ...)
+const FIELDS_BY_HEADER = new Map(
+  STUDENT_FIELDS.map((field) => [field.toLowerCase(), field])
+);
+
+// Turns an upload into { row, data } entries. `row` is the line a record
+// starts on for CSV (the header is usually line 1) and the 1-based array
+// position for JSON. JSON may be a string or already parsed: an array of students or
+// { students: [...] }. Throws for content that cannot be read at all.
+export function readImportRows(input, format) {
+  if (format === "json") {
+    const parsed = typeof input === "string" ? JSON.parse(input) : input;
+    const records = Array.isArray(parsed) ? parsed : parsed?.students;
+    if (!Array.isArray(records)) {
+      throw new Error(
+        "JSON must be an array of students or { students: [...] }"
+      );
+    }
+    return records.map((data, index) => ({ row: index + 1, data }));
+  }
+
+  const [headerRecord, ...records] = parseCsvRecords(String(input));
+  if (!headerRecord) return [];
+  const header = headerRecord.fields;
+  const columns = header.map((name) =>
+    FIELDS_BY_HEADER.get(name.trim().toLowerCase())
+  );
+  const unknown = header.filter((_, index) => !columns[index]);
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown columns: ${unknown.join(", ")} (expected ${STUDENT_FIELDS.join(", ")})`
+    );
+  }
+  return records.map(({ line, fields }) => {
+    const data = {};
+    // Empty cells count as missing, so a blank ID gets one generated. Values
+    // quoted as formulas by the export are read back without the quote.
+    columns.forEach((field, column) => {
+      if (fields[column]) data[field] = unescapeFormula(fields[column]);
+    });
+    return { row: line, data };
+  });
+}
+
+function personKey({ firstname, lastname, birthdate }) {
+  return [firstname, lastname, birthdate].join("|").toLowerCase();
+}
+
+// Sorts the rows into what an import would do with them, without writing:
+//   create     new students (an ID is generated when the row has none)
+//   update     existing IDs with changed fields: { field, from, to } changes
+//   unchanged  existing IDs identical to the stored record
+//   duplicate  an ID already used earlier in the file, or a new student with
+//              the name and birthdate of someone stored or earlier in the file
+//   invalid    rows failing validateStudent, with its field errors
+export function planImport(rows, existing) {
+  const plan = {
+    create: [],
+    update: [],
+    unchanged: [],
+    duplicate: [],
+    invalid: [],
+  };
+  const rowsById = new Map();
+  const people = new Map(
+    existing.map((student) => [personKey(student), student.ID])
+  );
+
+  rows.forEach(({ row, data }) => {
+    const { value: student, errors } = validateStudent(data);
+    if (errors) {
+      plan.invalid.push({ row, data, errors });
+      return;
+    }
+
+    if (student.ID) {
+      if (rowsById.has(student.ID)) {
+        plan.duplicate.push({
+          row,
+          student,
+          reason: `ID ${student.ID} is already used in row ${rowsById.get(student.ID)}`,
+        });
+        return;
+      }
+      rowsById.set(student.ID, row);
+
+      const previous = findById(existing, student.ID);
+      if (previous) {
+        const changes = STUDENT_FIELDS.filter(
+          (field) => previous[field] !== student[field]
+        ).map((field) => ({
+          field,
+          from: previous[field],
+          to: student[field],
+        }));
+        if (changes.length === 0) plan.unchanged.push({ row, student });
+        else plan.update.push({ row, student, previous, changes });
+        return;
+      }
+    }
+
+    const key = personKey(student);
+    if (people.has(key)) {
+      plan.duplicate.push({
+        row,
+        student,
+        reason: `Same name and birthdate as ${people.get(key)}`,
+      });
+      return;
+    }
+    people.set(key, student.ID || `row ${row}`);
+    plan.create.push({ row, student });
+  });
+
+  return plan;
+}
+
+export function summarizePlan(plan) {
+  return Object.fromEntries(
+    Object.entries(plan).map(([category, entries]) => [
+      category,
+      entries.length,
+    ])
+  );
+}
@@ -0,0 +1,234 @@
+/*
+ * metrics.js - Server and browser timings for comparing the rendering strategies
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import { appendFileSync, mkdirSync, readFileSync, writeFileSync } from "fs";
+import path from "path";
+import { isBuilding } from "./provenance";
+
+// Timings recorded on the server and reported by browsers, used by the
+// /metrics page to compare the rendering strategies. Each entry is
+// { page, name, value, phase, source?, at }:
+//   page    route pattern, e.g. "/students/idfilterssr/[ID]"
+//   name    "data" (getServerSideProps, getStaticProps or an API route),
+//           "render" (server render of the page) or a browser metric from
+//           reportWebVitals, e.g. "TTFB", "LCP" or "Next.js-hydration"
+//   value   milliseconds (CLS is a unitless score)
+//   phase   "build", "runtime" (per request or regeneration) or "client"
+//
+// Entries are appended to METRICS_FILE, so that timings from `next build`
+// show up in the server started afterwards, and the most recent ones are
+// kept in memory.
+const MAX_ENTRIES = 5000;
+
+// Once the file holds this many lines it is rewritten with the entries in
+// memory. Build workers only know their own entries and the ones in the file
+// when they started, so a rewrite there may drop a few build timings.
+const MAX_FILE_LINES = MAX_ENTRIES * 2;
+
+function metricsFile() {
+  return path.resolve(process.env.METRICS_FILE || "data/metrics.ndjson");
+}
+
+// Entries of the file, skipping lines that do not parse, e.g. a line cut off
+// when a process died while writing it
+function readMetricsFile(file) {
+  let lines = [];
+  try {
+    lines = readFileSync(file, "utf8").split("\n").filter(Boolean);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(`Reading ${file} failed: ${error.message}`);
+    }
+  }
+  const parsed = [];
+  lines.forEach((line) => {
+    try {
+      parsed.push(JSON.parse(line));
+    } catch {
+      // Skip the broken line
+    }
+  });
+  return { entries: parsed, lineCount: lines.length };
+}
+
+// Pages and API routes are bundled separately, so the store lives on
+// globalThis like the student repository. New entries wait in `pending`
+// until they are written after the current request.
+function store() {
+  if (!globalThis.metricStore) {
+    const { entries, lineCount } = readMetricsFile(metricsFile());
+    globalThis.metricStore = {
+      entries: entries.slice(-MAX_ENTRIES),
+      fileLines: lineCount,
+      pending: [],
+      flushScheduled: false,
+    };
+    // Build workers may exit before the scheduled write
+    process.once("exit", flush);
+  }
+  return globalThis.metricStore;
+}
+
+function toLines(list) {
+  return list.map((entry) => `${JSON.stringify(entry)}\n`).join("");
+}
+
+function flush() {
+  const metrics = store();
+  metrics.flushScheduled = false;
+  if (metrics.pending.length === 0) return;
+  const pending = metrics.pending;
+  metrics.pending = [];
+
+  const file = metricsFile();
+  try {
+    mkdirSync(path.dirname(file), { recursive: true });
+    if (metrics.fileLines + pending.length > MAX_FILE_LINES) {
+      writeFileSync(file, toLines(metrics.entries));
+      metrics.fileLines = metrics.entries.length;
+    } else {
+      appendFileSync(file, toLines(pending));
+      metrics.fileLines += pending.length;
+    }
+  } catch (error) {
+    console.error(`Writing ${file} failed: ${error.message}`);
+  }
+}
+
+// The dev server compiles pages on first request and renders everything on
+// demand, so its timings would only blur the comparison
+function isRecording() {
+  return process.env.NODE_ENV !== "development";
+}
+
+function serverPhase() {
+  return isBuilding() ? "build" : "runtime";
+}
+
+// Stores entries without `at`. They are written to the file once the
+// current work is done, so that the disk access neither delays the page nor
+// shows up in the timings. Never throws: a metric is not worth a failed page.
+export function recordMetrics(newEntries) {
+  if (!isRecording() || newEntries.length === 0) return;
+  try {
+    const at = new Date().toISOString();
+    const stamped = newEntries.map((entry) => ({ ...entry, at }));
+    const metrics = store();
+    metrics.entries.push(...stamped);
+    metrics.entries.splice(0, metrics.entries.length - MAX_ENTRIES);
+    metrics.pending.push(...stamped);
+    if (!metrics.flushScheduled) {
+      metrics.flushScheduled = true;
+      setImmediate(flush);
+    }
+  } catch (error) {
+    console.error(`Recording metrics failed: ${error.message}`);
+  }
+}
+
+export function readMetrics() {
+  return [...store().entries];
+}
+
+export function clearMetrics() {
+  const metrics = store();
+  metrics.entries = [];
+  metrics.pending = [];
+  const file = metricsFile();
+  mkdirSync(path.dirname(file), { recursive: true });
+  writeFileSync(file, "");
+  metrics.fileLines = 0;
+}
+
+function timed(page, source, fn) {
+  return async (...args) => {
+    const start = performance.now();
+    try {
+      return await fn(...args);
+    } finally {
+      recordMetrics([
+        {
+          page,
+          name: "data",
+          source,
+          value: performance.now() - start,
+          phase: serverPhase(),
+        },
+      ]);
+    }
+  };
+}
+
+// Wrap a page's data function to record how long it takes:
+//   export const getServerSideProps = timeGetServerSideProps(
+//     "/students/idfilterssr/[ID]",
+//     async ({ params }) => { ... }
+//   );
+export function timeGetServerSideProps(page, getServerSideProps) {
+  return timed(page, "getServerSideProps", getServerSideProps);
+}
+
+export function timeGetStaticProps(page, getStaticProps) {
+  return timed(page, "getStaticProps", getStaticProps);
+}
+
+// The same for an API route handler, e.g. the data behind a CSR page
+export function timeApiHandler(page, handler) {
+  return timed(page, "api", handler);
+}
+
+// Called by _document.js with the time renderPage() took
+export function recordRender(page, value) {
+  recordMetrics([{ page, name: "render", value, phase: serverPhase() }]);
+}
+
+function percentile(sorted, fraction) {
+  return sorted[
+    Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))
+  ];
+}
+
+// Median, 75th percentile (the value Web Vitals are usually judged by) and
+// number of samples of the entries matching page, name and phase, or null
+export function summarize(list, { page, name, phase }) {
+  const values = list
+    .filter(
+      (entry) =>
+        entry.page === page && entry.name === name && entry.phase === phase
+    )
+    .map((entry) => entry.value)
+    .sort((a, b) => a - b);
+  if (values.length === 0) return null;
+  return {
+    median: percentile(values, 0.5),
+    p75: percentile(values, 0.75),
+    count: values.length,
+  };
+}
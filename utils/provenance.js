@@ -0,0 +1,107 @@
+/*
+ * provenance.js - How and when the data of a page was fetched
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+// Where the data of a page comes from, shown by components/ProvenanceBadge.js
+// instead of trusting the "(SSR)" or "(SSG)" in a heading:
+// {
+//   mode          "SSR", "SSG", "ISR" (getStaticProps with revalidate) or
+//                 "CSR" (fetched in the browser)
+//   fetchedDuring "request", "build", "regeneration" or "client"
+//   fetchedAt     ISO timestamp
+//   revalidate    seconds, for ISR
+//   hash          version of the data: a hash of the data the page shows
+//                 (or the fetched JSON), which changes whenever it does
+// }
+
+// True while `next build` prerenders pages, false when the server generates
+// them on request or regenerates them
+export function isBuilding() {
+  return process.env.NEXT_PHASE === "phase-production-build";
+}
+
+// 32-bit FNV-1a hash of the JSON of a value, as 8 hex digits. Not meant to
+// be secure, just short and the same on the server and in the browser.
+export function hashData(value) {
+  const text = JSON.stringify(value) ?? "";
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+// Adds `provenance` to the props of a data function's result. Redirects and
+// notFound results have no props and are returned unchanged. Only the data
+// picked by selectData is hashed, so props such as a timestamp or the current
+// page do not change the version.
+function withProvenance(fn, describe, selectData) {
+  return async (...args) => {
+    const result = await fn(...args);
+    if (!result?.props) return result;
+    return {
+      ...result,
+      props: {
+        ...result.props,
+        provenance: {
+          ...describe(result),
+          fetchedAt: new Date().toISOString(),
+          hash: hashData(selectData(result.props)),
+        },
+      },
+    };
+  };
+}
+
+// Wrap a page's data function so the badge can show how it was rendered,
+// passing the props that hold the page's data:
+//   export const getServerSideProps = withServerSideProvenance(
+//     async ({ params }) => { ... },
+//     (props) => props.students
+//   );
+export function withServerSideProvenance(getServerSideProps, selectData) {
+  return withProvenance(
+    getServerSideProps,
+    () => ({ mode: "SSR", fetchedDuring: "request" }),
+    selectData
+  );
+}
+
+export function withStaticProvenance(getStaticProps, selectData) {
+  return withProvenance(
+    getStaticProps,
+    ({ revalidate }) => ({
+      mode: revalidate ? "ISR" : "SSG",
+      fetchedDuring: isBuilding() ? "build" : "regeneration",
+      ...(revalidate ? { revalidate } : {}),
+    }),
+    selectData
+  );
+}
@@ -0,0 +1,205 @@
+/*
+ * query.js - Composable multi-field filtering, sorting and paging of students
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import { firstValue } from "./api";
+import { birthdateRangeForAges, parseIsoDate } from "./dates";
+import { searchStudents } from "./search";
+import { filterByName } from "./students";
+
+// Columns the results can be sorted by. "name" sorts by last, then first name,
+// and "birthday" by month and day of the birthdate, ignoring the year.
+export const SORT_FIELDS = [
+  "ID",
+  "name",
+  "firstname",
+  "lastname",
+  "gender",
+  "birthdate",
+  "birthday",
+  "studysubject",
+  "city",
+];
+
+export const MAX_PAGE_SIZE = 100;
+
+const collator = new Intl.Collator("en", { sensitivity: "base" });
+
+// A filter describes one view of the directory. Every field is optional:
+//   gender, subject, city   accepted values (OR within a field), as an array
+//                           or a single value
+//   name                    exact first or last name (see filterByName)
+//   q                       ranked search (see utils/search.js)
+//   birthdateFrom/To        inclusive YYYY-MM-DD bounds
+//   minAge, maxAge          inclusive age bounds in whole years
+//   birthMonth              month of the birthdate, 1-12
+//   sort, order             a SORT_FIELDS entry and "asc" or "desc"
+//   page, pageSize          1-based page; without pageSize all results
+// Fields combine with AND. Unsorted results keep the ID order, or relevance
+// order when searching with q.
+
+function list(value) {
+  if (value === undefined) return [];
+  return (Array.isArray(value) ? value : [value])
+    .flatMap((entry) => entry.split(","))
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+function integer(value, min, max) {
+  if (!/^\d+$/.test(value)) return null;
+  const number = parseInt(value, 10);
+  return number >= min && number <= max ? number : null;
+}
+
+// Reads a filter from URL query parameters, where lists may be repeated
+// (?subject=Physics&subject=Medicine) or comma-separated. Returns the filter
+// and a field -> message map of invalid parameters, or null.
+export function parseFilterQuery(query) {
+  const filter = {
+    gender: list(query.gender),
+    subject: list(query.subject),
+    city: list(query.city),
+  };
+  const errors = {};
+
+  ["name", "q"].forEach((field) => {
+    const value = firstValue(query[field]);
+    if (value) filter[field] = value;
+  });
+
+  ["birthdateFrom", "birthdateTo"].forEach((field) => {
+    const value = firstValue(query[field]);
+    if (value === undefined) return;
+    if (parseIsoDate(value)) filter[field] = value;
+    else errors[field] = "must be a date (YYYY-MM-DD)";
+  });
+
+  [
+    ["minAge", 0, 150],
+    ["maxAge", 0, 150],
+    ["birthMonth", 1, 12],
+    ["page", 1, Number.MAX_SAFE_INTEGER],
+    ["pageSize", 1, MAX_PAGE_SIZE],
+  ].forEach(([field, min, max]) => {
+    const value = firstValue(query[field]);
+    if (value === undefined) return;
+    const number = integer(value, min, max);
+    if (number === null)
+      errors[field] = `must be a number from ${min} to ${max}`;
+    else filter[field] = number;
+  });
+
+  const sort = firstValue(query.sort);
+  if (sort !== undefined) {
+    if (SORT_FIELDS.includes(sort)) filter.sort = sort;
+    else errors.sort = `must be one of: ${SORT_FIELDS.join(", ")}`;
+  }
+  const order = firstValue(query.order);
+  if (order !== undefined) {
+    if (order === "asc" || order === "desc") filter.order = order;
+    else errors.order = "must be asc or desc";
+  }
+
+  return { filter, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+// Combines explicit birthdate bounds with the ones implied by an age range
+// into one inclusive { from, to } range of YYYY-MM-DD strings
+export function birthdateBounds(filter, date = new Date()) {
+  const ages = birthdateRangeForAges(filter, date);
+  // ISO dates sort chronologically as strings; keep the narrower bounds
+  const from = [filter.birthdateFrom, ages.from].filter(Boolean).sort().pop();
+  const to = [filter.birthdateTo, ages.to].filter(Boolean).sort().shift();
+  return { from, to };
+}
+
+function compareBy(sort) {
+  if (sort === "name") {
+    return (a, b) =>
+      collator.compare(a.lastname, b.lastname) ||
+      collator.compare(a.firstname, b.firstname);
+  }
+  if (sort === "birthday") {
+    return (a, b) => a.birthdate.slice(5).localeCompare(b.birthdate.slice(5));
+  }
+  return (a, b) => collator.compare(a[sort], b[sort]);
+}
+
+// Sorts and pages an already filtered array
+export function sortAndPage(
+  students,
+  { sort, order = "asc", page = 1, pageSize }
+) {
+  let results = students;
+  if (sort) {
+    const compare = compareBy(sort);
+    const direction = order === "desc" ? -1 : 1;
+    results = [...results].sort(
+      (a, b) => direction * compare(a, b) || a.ID.localeCompare(b.ID)
+    );
+  }
+  if (pageSize) {
+    results = results.slice((page - 1) * pageSize, page * pageSize);
+  }
+  return { results, total: students.length };
+}
+
+export function asList(value) {
+  return value === undefined || value === null ? [] : [].concat(value);
+}
+
+function matchesAny(value, accepted) {
+  return (
+    accepted.length === 0 ||
+    accepted.some((entry) => entry.toLowerCase() === value.toLowerCase())
+  );
+}
+
+// Applies a filter to an array of students. Returns the requested page of
+// results and the total number of matches: { results, total }.
+export function queryStudents(students, filter = {}, date = new Date()) {
+  const { name, q } = filter;
+  const { from, to } = birthdateBounds(filter, date);
+
+  let matches = students.filter(
+    (student) =>
+      matchesAny(student.gender, asList(filter.gender)) &&
+      matchesAny(student.studysubject, asList(filter.subject)) &&
+      matchesAny(student.city, asList(filter.city)) &&
+      (!from || student.birthdate >= from) &&
+      (!to || student.birthdate <= to) &&
+      (!filter.birthMonth ||
+        Number(student.birthdate.slice(5, 7)) === filter.birthMonth)
+  );
+  if (name) matches = filterByName(matches, name);
+  if (q) matches = searchStudents(matches, q).map(({ student }) => student);
+
+  return sortAndPage(matches, filter);
+}
@@ -0,0 +1,101 @@
+/*
+ * array.js - Student repository operations over an array of records
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import { queryStudents } from "../query";
+import { nextStudentId } from "../studentSchema";
+import { findById } from "../students";
+
+// Builds the repository interface on top of any storage that can load and
+// save the whole student array. `load` must resolve to an array that the
+// repository may not mutate; `save` receives a new array after each write.
+// Each write loads, changes and saves the array, so writes run one after
+// another: concurrent creates would otherwise pick the same next ID and one
+// record would be lost. The queue only covers this process; storage shared
+// between processes passes `lock`, which runs a write while holding a lock
+// on the storage.
+export function createArrayRepository({ load, save, lock = (task) => task() }) {
+  let queue = Promise.resolve();
+  const serialize = (task) => {
+    const result = queue.then(() => lock(task));
+    // A failed write rejects its own caller but does not stop the queue
+    queue = result.catch(() => {});
+    return result;
+  };
+
+  return {
+    async list() {
+      return load();
+    },
+
+    async get(id) {
+      return findById(await load(), id);
+    },
+
+    async query(filter) {
+      return queryStudents(await load(), filter);
+    },
+
+    // Resolves to null when the ID is already taken
+    create(data) {
+      return serialize(async () => {
+        const records = await load();
+        const { ID, ...fields } = data;
+        const student = { ID: ID || nextStudentId(records), ...fields };
+        if (findById(records, student.ID)) return null;
+        await save([...records, student]);
+        return student;
+      });
+    },
+
+    // Resolves to null when no student has that ID
+    update(id, data) {
+      return serialize(async () => {
+        const records = await load();
+        if (!findById(records, id)) return null;
+        // Any ID in data is dropped; the id argument identifies the record
+        const { ID, ...fields } = data;
+        const student = { ID: id, ...fields };
+        await save(records.map((s) => (s.ID === id ? student : s)));
+        return student;
+      });
+    },
+
+    // Resolves to the removed student, or null when no student has that ID
+    delete(id) {
+      return serialize(async () => {
+        const records = await load();
+        const student = findById(records, id);
+        if (!student) return null;
+        await save(records.filter((s) => s.ID !== id));
+        return student;
+      });
+    },
+  };
+}
@@ -0,0 +1,74 @@
+/*
+ * index.js - Selects the configured student repository adapter
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import path from "path";
+import { students as seed } from "../students";
+import { createJsonRepository } from "./json";
+import { createMemoryRepository } from "./memory";
+import { createSqliteRepository } from "./sqlite";
+
+// Every repository exposes the same async interface:
+//   list()            -> all students
+//   get(id)           -> student or null
+//   query(filter)     -> { results, total } for a filter as described in
+//                        utils/query.js
+//   create(student)   -> created student (ID generated if missing), or null
+//                        if the ID is taken
+//   update(id, data)  -> updated student or null
+//   delete(id)        -> removed student or null
+//
+// The adapter is picked with the STUDENT_STORE environment variable and
+// stores its data in STUDENT_STORE_FILE where it needs a file.
+function storeFile(defaultFile) {
+  return path.resolve(process.env.STUDENT_STORE_FILE || defaultFile);
+}
+
+const adapters = {
+  memory: () => createMemoryRepository(seed),
+  json: () => createJsonRepository(storeFile("data/students.json"), seed),
+  sqlite: () => createSqliteRepository(storeFile("data/students.db"), seed),
+};
+
+export function getStudentRepository() {
+  // Pages and API routes are bundled separately, so the instance lives on
+  // globalThis to give them all the same in-memory data
+  if (!globalThis.studentRepository) {
+    const store = process.env.STUDENT_STORE || "sqlite";
+    if (!adapters[store]) {
+      throw new Error(
+        `Unknown STUDENT_STORE "${store}", expected one of: ${Object.keys(
+          adapters
+        ).join(", ")}`
+      );
+    }
+    globalThis.studentRepository = adapters[store]();
+  }
+  return globalThis.studentRepository;
+}
@@ -0,0 +1,110 @@
+/*
+ * json.js - Student repository persisted to a JSON file on disk
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import {
+  mkdir,
+  open,
+  readFile,
+  rename,
+  stat,
+  unlink,
+  writeFile,
+} from "fs/promises";
+import path from "path";
+import { createArrayRepository } from "./array";
+
+// A lock older than this was left behind by a crashed process
+const STALE_LOCK_MS = 10000;
+const LOCK_RETRY_MS = 20;
+const LOCK_TIMEOUT_MS = 5000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Runs task while holding `lockFile`, which is created exclusively, so that
+// writes from separate server processes do not overwrite each other
+async function withLockFile(lockFile, task) {
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  let handle;
+  while (!handle) {
+    try {
+      handle = await open(lockFile, "wx");
+    } catch (error) {
+      if (error.code !== "EEXIST") throw error;
+      const lockedAt = await stat(lockFile).then(
+        ({ mtimeMs }) => mtimeMs,
+        () => null
+      );
+      if (lockedAt !== null && Date.now() - lockedAt > STALE_LOCK_MS) {
+        await unlink(lockFile).catch(() => {});
+      } else if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for ${lockFile}`);
+      } else {
+        await sleep(LOCK_RETRY_MS);
+      }
+    }
+  }
+
+  try {
+    return await task();
+  } finally {
+    await handle.close();
+    await unlink(lockFile).catch(() => {});
+  }
+}
+
+// Persists the students to a JSON file, creating it from the seed data on
+// first use. The file is re-read on every call so that separate server
+// processes (e.g. build workers and the API) see each other's writes.
+export function createJsonRepository(file, seed) {
+  async function save(records) {
+    await mkdir(path.dirname(file), { recursive: true });
+    // Write to a temporary file first so readers never see half a file
+    const temp = `${file}.${process.pid}.tmp`;
+    await writeFile(temp, JSON.stringify(records, null, 2));
+    await rename(temp, file);
+  }
+
+  async function load() {
+    try {
+      return JSON.parse(await readFile(file, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+      await save(seed);
+      return seed;
+    }
+  }
+
+  const lock = async (task) => {
+    await mkdir(path.dirname(file), { recursive: true });
+    return withLockFile(`${file}.lock`, task);
+  };
+
+  return createArrayRepository({ load, save, lock });
+}
@@ -0,0 +1,233 @@
+/*
+ * sqlite.js - Student repository stored in a local SQLite database file
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import Database from "better-sqlite3";
+import { mkdirSync } from "fs";
+import path from "path";
+import {
+  asList,
+  birthdateBounds,
+  queryStudents,
+  SORT_FIELDS,
+  sortAndPage,
+} from "../query";
+import { nextStudentId } from "../studentSchema";
+
+// NOCASE columns make `=` comparisons case-insensitive, like the filter
+// helpers in utils/students.js, and let the indexes serve those comparisons.
+// SQLite only folds ASCII letters, so "KRAKÓW" does not match "Kraków"; the
+// name filter therefore compares through js_lower (see below) instead.
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS students (
+    ID TEXT PRIMARY KEY,
+    firstname TEXT NOT NULL COLLATE NOCASE,
+    lastname TEXT NOT NULL COLLATE NOCASE,
+    gender TEXT NOT NULL COLLATE NOCASE,
+    birthdate TEXT NOT NULL,
+    studysubject TEXT NOT NULL COLLATE NOCASE,
+    city TEXT NOT NULL COLLATE NOCASE
+  );
+  CREATE INDEX IF NOT EXISTS students_gender ON students (gender);
+  CREATE INDEX IF NOT EXISTS students_studysubject ON students (studysubject);
+  CREATE INDEX IF NOT EXISTS students_city ON students (city);
+`;
+
+const COLUMNS =
+  "ID, firstname, lastname, gender, birthdate, studysubject, city";
+const INSERT_VALUES = `(${COLUMNS})
+  VALUES (@ID, @firstname, @lastname, @gender, @birthdate, @studysubject, @city)`;
+
+// Filter fields (see utils/query.js) that map onto a column
+const LIST_COLUMNS = {
+  gender: "gender",
+  subject: "studysubject",
+  city: "city",
+};
+
+// Translates everything in a filter except the ranked search, sorting and
+// paging into a WHERE clause with positional parameters
+function whereClause(filter) {
+  const conditions = [];
+  const values = [];
+
+  Object.entries(LIST_COLUMNS).forEach(([field, column]) => {
+    const accepted = asList(filter[field]);
+    if (accepted.length === 0) return;
+    conditions.push(`${column} IN (${accepted.map(() => "?").join(", ")})`);
+    values.push(...accepted);
+  });
+  if (filter.name) {
+    // Folds like filterByName in utils/students.js, so "MÜLLER" finds "Müller"
+    conditions.push("(js_lower(firstname) = ? OR js_lower(lastname) = ?)");
+    const name = filter.name.toLowerCase();
+    values.push(name, name);
+  }
+  const { from, to } = birthdateBounds(filter);
+  if (from) {
+    conditions.push("birthdate >= ?");
+    values.push(from);
+  }
+  if (to) {
+    conditions.push("birthdate <= ?");
+    values.push(to);
+  }
+  if (filter.birthMonth) {
+    conditions.push("CAST(substr(birthdate, 6, 2) AS INTEGER) = ?");
+    values.push(filter.birthMonth);
+  }
+
+  const clause =
+    conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+  return { clause, values };
+}
+
+// Sorts SQL can do in the same order as sortAndPage in utils/query.js. The
+// text columns are left to the shared collator instead, since NOCASE compares
+// code points and would put "König" after "Kuhn".
+const SQL_SORTS = {
+  ID: (direction) => `ID ${direction}`,
+  birthdate: (direction) => `birthdate ${direction}, ID`,
+  birthday: (direction) => `substr(birthdate, 6) ${direction}, ID`,
+};
+
+function orderBy({ sort, order }) {
+  const direction = order === "desc" ? "DESC" : "ASC";
+  // Like sortAndPage, order only applies to an explicit sort
+  if (!SQL_SORTS[sort]) return "ID";
+  return SQL_SORTS[sort](direction);
+}
+
+// Whether sorting needs the collator, and so every matching row in JavaScript
+function sortsInJs(sort) {
+  return SORT_FIELDS.includes(sort) && !SQL_SORTS[sort];
+}
+
+// Stores the students in a local SQLite file. The schema is created and the
+// seed records inserted the first time the file is opened. Build workers may
+// open the file at the same moment, hence INSERT OR IGNORE for the seed.
+export function createSqliteRepository(file, seed) {
+  mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.function("js_lower", { deterministic: true }, (value) =>
+    value.toLowerCase()
+  );
+  db.exec(SCHEMA);
+
+  const insert = db.prepare(`INSERT INTO students ${INSERT_VALUES}`);
+  const seedIfEmpty = db.transaction(() => {
+    if (db.prepare("SELECT COUNT(*) AS count FROM students").get().count > 0) {
+      return;
+    }
+    const insertOrIgnore = db.prepare(
+      `INSERT OR IGNORE INTO students ${INSERT_VALUES}`
+    );
+    seed.forEach((student) => insertOrIgnore.run(student));
+  });
+  seedIfEmpty.immediate();
+
+  const selectById = db.prepare(`SELECT ${COLUMNS} FROM students WHERE ID = ?`);
+
+  return {
+    async list() {
+      return db.prepare(`SELECT ${COLUMNS} FROM students ORDER BY ID`).all();
+    },
+
+    async get(id) {
+      return selectById.get(id) || null;
+    },
+
+    async query(filter = {}) {
+      const { clause, values } = whereClause(filter);
+      const { q, sort, order, page = 1, pageSize } = filter;
+
+      if (q || sortsInJs(sort)) {
+        // Ranking and collation happen in JavaScript, on the rows SQL
+        // narrowed down
+        const rows = db
+          .prepare(`SELECT ${COLUMNS} FROM students ${clause} ORDER BY ID`)
+          .all(values);
+        if (!q) return sortAndPage(rows, { sort, order, page, pageSize });
+        return queryStudents(rows, { q, sort, order, page, pageSize });
+      }
+
+      const { total } = db
+        .prepare(`SELECT COUNT(*) AS total FROM students ${clause}`)
+        .get(values);
+      let sql = `SELECT ${COLUMNS} FROM students ${clause} ORDER BY ${orderBy(
+        filter
+      )}`;
+      const pageValues = [];
+      if (pageSize) {
+        sql += " LIMIT ? OFFSET ?";
+        pageValues.push(pageSize, (page - 1) * pageSize);
+      }
+      return { results: db.prepare(sql).all(...values, ...pageValues), total };
+    },
+
+    async create(data) {
+      const create = db.transaction(() => {
+        const { ID, ...fields } = data;
+        const student = {
+          ID: ID || nextStudentId(db.prepare("SELECT ID FROM students").all()),
+          ...fields,
+        };
+        if (selectById.get(student.ID)) return null;
+        insert.run(student);
+        return student;
+      });
+      return create.immediate();
+    },
+
+    async update(id, data) {
+      // Any ID in data is dropped; the id argument identifies the record
+      const { ID, ...fields } = data;
+      const student = { ID: id, ...fields };
+      const { changes } = db
+        .prepare(
+          `UPDATE students SET firstname = @firstname, lastname = @lastname,
+             gender = @gender, birthdate = @birthdate,
+             studysubject = @studysubject, city = @city
+           WHERE ID = @ID`
+        )
+        .run(student);
+      return changes > 0 ? student : null;
+    },
+
+    async delete(id) {
+      const remove = db.transaction(() => {
+        const student = selectById.get(id);
+        if (student) db.prepare("DELETE FROM students WHERE ID = ?").run(id);
+        return student || null;
+      });
+      return remove.immediate();
+    },
+  };
+}
@@ -0,0 +1,103 @@
+/*
+ * revalidation.js - On-demand ISR revalidation of the pages showing a student
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import { LOCALES, localizedPath } from "./i18n";
+import { slugify } from "./slug";
+
+// Pages listing every student or the facets, regenerated on any change
+const LIST_PATHS = [
+  "/",
+  "/students/isr",
+  "/students/gscatchallssg",
+  "/students/statsisr",
+  "/students/city",
+];
+
+function segment(value) {
+  return encodeURIComponent(value);
+}
+
+// Prerendered pages that show the given student, or would show a student
+// with that ID, gender, subject and city
+function studentPaths({ ID, gender, studysubject, city }) {
+  const paths = [];
+  if (ID) paths.push(`/students/idfilterssg/${segment(ID)}`);
+  if (city) paths.push(`/students/city/${slugify(city)}`);
+  // The catch-all route also lists a gender on its own (/female)
+  if (gender) paths.push(`/students/gscatchallssg/${segment(gender)}`);
+  if (gender && studysubject) {
+    const filter = `${segment(gender)}/${segment(studysubject)}`;
+    paths.push(`/students/gscatchallssg/${filter}`);
+    paths.push(`/students/gsnestedssg/${filter}`);
+  }
+  return paths;
+}
+
+// Paths to regenerate after a change. Pass the record before and after the
+// change (either may be null for creates and deletes) so that a student
+// moving to another gender/subject refreshes both the old and new lists.
+// Every locale is prerendered separately, so each path is returned once per
+// locale.
+export function pathsForStudentChange(...records) {
+  const paths = new Set(LIST_PATHS);
+  records
+    .filter(Boolean)
+    .forEach((record) => studentPaths(record).forEach((p) => paths.add(p)));
+  return LOCALES.flatMap((locale) =>
+    [...paths].map((path) => localizedPath(path, locale))
+  );
+}
+
+// Regenerates each path through the API response's revalidate() and reports
+// which ones failed instead of throwing, so one missing page does not stop
+// the rest from refreshing.
+export async function revalidatePaths(res, paths) {
+  const revalidated = [];
+  const failed = [];
+  for (const path of paths) {
+    try {
+      await res.revalidate(path);
+      revalidated.push(path);
+    } catch (error) {
+      failed.push({ path, message: error.message });
+    }
+  }
+  return { revalidated, failed };
+}
+
+// Used by the student API after a successful write. Takes the records as
+// pathsForStudentChange does; imports pass every record they touched.
+export async function revalidateStudentChange(res, ...records) {
+  const result = await revalidatePaths(res, pathsForStudentChange(...records));
+  result.failed.forEach(({ path, message }) =>
+    console.error(`Revalidating ${path} failed: ${message}`)
+  );
+  return result;
+}
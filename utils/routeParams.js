@@ -0,0 +1,69 @@
+/*
+ * routeParams.js - Validation of the gender/subject route segments
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import { facetValues } from "./facets";
+import { fromSlug, slugify } from "./slug";
+
+// Returns the canonical spelling of value from list, ignoring case, or null
+function canonical(list, value) {
+  return (
+    list.find((entry) => entry.toLowerCase() === value.toLowerCase()) || null
+  );
+}
+
+// Parses the [gender, subject] segments of the gender/subject routes against
+// the facets of the current data. Either segment may be missing (root path
+// or gender only). Returns null for a gender or subject no student has, or
+// when there are extra segments.
+export function parseGenderSubject(segments = [], facets) {
+  if (segments.length > 2) return null;
+  const [genderSegment, subjectSegment] = segments;
+
+  const gender = genderSegment
+    ? canonical(facetValues(facets.gender), genderSegment)
+    : undefined;
+  const subject = subjectSegment
+    ? canonical(facetValues(facets.subject), subjectSegment)
+    : undefined;
+  if (gender === null || subject === null) return null;
+
+  return { gender, subject };
+}
+
+// Parses the (decoded) [city] segment of the city routes against the facets
+// of the current data. Returns null for a city no student lives in,
+// otherwise the city as stored ("São Paulo"), its slug ("sao-paulo") and
+// whether the segment was the slug; the pages redirect other spellings.
+export function parseCity(segment, facets) {
+  const city = fromSlug(segment, facetValues(facets.city));
+  if (!city) return null;
+  const slug = slugify(city);
+  return { city, slug, isSlug: encodeURIComponent(segment) === slug };
+}
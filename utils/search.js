@@ -0,0 +1,173 @@
+/*
+ * search.js - Ranked, accent-insensitive student search with typo tolerance
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import { levenshtein } from "./suggest";
+
+// Letters that Unicode decomposition does not reduce to plain ASCII
+const LETTER_FOLDS = {
+  ß: "ss",
+  æ: "ae",
+  ø: "o",
+  œ: "oe",
+  ł: "l",
+  đ: "d",
+  þ: "th",
+};
+
+// German spellings without umlauts ("Mueller" for "Müller")
+const UMLAUT_FOLDS = { ä: "ae", ö: "oe", ü: "ue" };
+
+// Fields searched, with the weight a match in each one counts for
+const FIELD_WEIGHTS = {
+  lastname: 3,
+  firstname: 3,
+  ID: 3,
+  city: 2,
+  studysubject: 2,
+};
+
+// Match kinds, best first, with their base score
+const EXACT = 4;
+const PREFIX = 3;
+const SUBSTRING = 2;
+const FUZZY = 1;
+
+// Lower-cases text and strips accents, keeping track of which original
+// character each folded character came from, so that a match in the folded
+// text can be highlighted in the original.
+function fold(text, folds = {}) {
+  let folded = "";
+  const origin = [];
+  [...text].forEach((char, index) => {
+    const lower = char.toLowerCase();
+    const replacement =
+      folds[lower] ??
+      LETTER_FOLDS[lower] ??
+      lower.normalize("NFD").replace(/[̀-ͯ]/g, "");
+    folded += replacement;
+    for (let i = 0; i < replacement.length; i++) origin.push(index);
+  });
+  return { folded, origin };
+}
+
+export function normalizeSearchText(text) {
+  return fold(text).folded;
+}
+
+// Tolerated typos for a search term of this length
+function maxTypos(term) {
+  if (term.length >= 7) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+// Finds the best match of a folded term in a field value. Returns
+// { kind, range } with range in original character positions, or null.
+function matchField(value, term) {
+  let best = null;
+  [fold(value), fold(value, UMLAUT_FOLDS)].forEach(({ folded, origin }) => {
+    const toRange = (start, end) => [origin[start], origin[end - 1] + 1];
+    const candidates = [];
+
+    if (folded === term)
+      candidates.push({ kind: EXACT, range: toRange(0, folded.length) });
+
+    // Words start at the beginning or after a space or hyphen
+    const words = [...folded.matchAll(/[^\s-]+/g)];
+    words.forEach((word) => {
+      if (word[0] === term) {
+        candidates.push({
+          kind: EXACT,
+          range: toRange(word.index, word.index + term.length),
+        });
+      } else if (word[0].startsWith(term)) {
+        candidates.push({
+          kind: PREFIX,
+          range: toRange(word.index, word.index + term.length),
+        });
+      } else if (
+        maxTypos(term) > 0 &&
+        levenshtein(word[0].slice(0, term.length + 1), term) <= maxTypos(term)
+      ) {
+        const end = word.index + word[0].length;
+        candidates.push({ kind: FUZZY, range: toRange(word.index, end) });
+      }
+    });
+
+    const position = folded.indexOf(term);
+    if (position !== -1) {
+      candidates.push({
+        kind: SUBSTRING,
+        range: toRange(position, position + term.length),
+      });
+    }
+
+    candidates.forEach((candidate) => {
+      if (!best || candidate.kind > best.kind) best = candidate;
+    });
+  });
+  return best;
+}
+
+// Searches students by name, city, subject and ID. Every word of the query
+// must match some field, as a whole word, a word prefix, a substring or a
+// word with a typo or two, ignoring case and accents ("muller" and
+// "mueller" both find "Müller"). Results are ranked by relevance:
+// [{ student, score, matches: { firstname: [[start, end]], ... } }]
+export function searchStudents(students, query) {
+  const terms = normalizeSearchText(query || "")
+    .split(/\s+/)
+    .filter(Boolean);
+  if (terms.length === 0) return [];
+
+  const results = [];
+  students.forEach((student) => {
+    let score = 0;
+    const matches = {};
+
+    const allTermsMatch = terms.every((term) => {
+      let termScore = 0;
+      Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+        const match = matchField(student[field], term);
+        if (!match) return;
+        termScore = Math.max(termScore, match.kind * weight);
+        matches[field] = [...(matches[field] || []), match.range];
+      });
+      score += termScore;
+      return termScore > 0;
+    });
+
+    if (allTermsMatch) results.push({ student, score, matches });
+  });
+
+  return results.sort(
+    (a, b) => b.score - a.score || a.student.ID.localeCompare(b.student.ID)
+  );
+}
@@ -0,0 +1,51 @@
+/*
+ * slug.js - URL-safe slugs for values such as city names
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import { normalizeSearchText } from "./search";
+
+// URL segment for a value such as a city: accents and special letters are
+// folded and everything else becomes dashes, e.g. "São Paulo" -> "sao-paulo"
+// or "Frankfurt am Main" -> "frankfurt-am-main". Values without any Latin
+// letters or digits (e.g. "東京") are percent-encoded instead.
+export function slugify(value) {
+  const folded = normalizeSearchText(value.trim());
+  const slug = folded.replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+  return slug || encodeURIComponent(folded);
+}
+
+// The value from `values` that a URL segment stands for, or null. The segment
+// is slugified first, so the slug, the value itself ("São Paulo", as typed
+// or percent-encoded) and other spellings differing in case or accents all
+// match. Values sharing a slug cannot be told apart; the first one wins.
+export function fromSlug(segment, values) {
+  const slug = slugify(segment);
+  if (!slug) return null;
+  return values.find((value) => slugify(value) === slug) ?? null;
+}
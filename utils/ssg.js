@@ -0,0 +1,42 @@
+/*
+ * ssg.js - Fallback and revalidation settings for the SSG routes
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+// Settings shared by the SSG routes that generate pages after the build.
+//
+// fallback: "blocking" renders an unknown path on the server on its first
+// request, like SSR, and caches the result. Set SSG_FALLBACK=true at build
+// time to demo fallback: true instead, where the browser gets a loading
+// skeleton immediately and the data once generation finishes.
+export const SSG_FALLBACK =
+  process.env.SSG_FALLBACK === "true" ? true : "blocking";
+
+// Seconds before a generated page (or a cached 404) is regenerated, so that
+// students added or changed without on-demand revalidation still show up
+export const SSG_REVALIDATE = 60;
@@ -0,0 +1,105 @@
+/*
+ * stats.js - Summary statistics of the student population
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import { ageOn, toIsoDate } from "./dates";
+import { computeFacets, facetValues } from "./facets";
+import { getStudentRepository } from "./repository";
+
+function median(sorted) {
+  if (sorted.length === 0) return null;
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Number of students of each age in whole years, from the youngest to the
+// oldest age present, including ages nobody has (count 0)
+function ageDistribution(ages) {
+  if (ages.length === 0) return [];
+  const youngest = ages[0];
+  const oldest = ages[ages.length - 1];
+  const counts = new Map();
+  ages.forEach((age) => counts.set(age, (counts.get(age) || 0) + 1));
+  return Array.from({ length: oldest - youngest + 1 }, (_, index) => ({
+    value: youngest + index,
+    count: counts.get(youngest + index) || 0,
+  }));
+}
+
+// Summarises the students on `date` (ages change over time):
+// {
+//   date, total,
+//   bySubject, byGender, byCity   [{ value, count }] as in computeFacets
+//   genderBySubject               [{ value: subject, counts: { female, male } }]
+//   ageDistribution               [{ value: age, count }]
+//   age                           { min, max, mean, median } or nulls
+// }
+export function computeStats(students, date = new Date()) {
+  const facets = computeFacets(students);
+  const genders = facetValues(facets.gender);
+
+  const genderBySubject = facets.subject.map(({ value }) => {
+    const counts = Object.fromEntries(genders.map((gender) => [gender, 0]));
+    students
+      .filter((student) => student.studysubject === value)
+      .forEach((student) => counts[student.gender]++);
+    return { value, counts };
+  });
+
+  const ages = students
+    .map((student) => ageOn(student.birthdate, date))
+    .sort((a, b) => a - b);
+  const mean =
+    ages.length > 0
+      ? ages.reduce((sum, age) => sum + age, 0) / ages.length
+      : null;
+
+  return {
+    date: toIsoDate(date),
+    total: students.length,
+    bySubject: facets.subject,
+    byGender: facets.gender,
+    byCity: facets.city,
+    genderBySubject,
+    ageDistribution: ageDistribution(ages),
+    age: {
+      min: ages.length > 0 ? ages[0] : null,
+      max: ages.length > 0 ? ages[ages.length - 1] : null,
+      mean: mean === null ? null : Math.round(mean * 10) / 10,
+      median: median(ages),
+    },
+  };
+}
+
+// Statistics of every student in the configured repository
+export async function getStats(date = new Date()) {
+  return computeStats(await getStudentRepository().list(), date);
+}
@@ -0,0 +1,139 @@
+/*
+ * studentSchema.js - Validation rules and ID generation for student records
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import { birthdateError } from "./dates";
+
+// Field rules shared by every code path that writes student records. This
+// module has no server-only imports, so forms can run the same checks in the
+// browser before submitting.
+
+export const GENDERS = ["male", "female"];
+
+// Subjects the university offers; not every one has students yet
+export const SUBJECTS = [
+  "Physics",
+  "Mathematics",
+  "Computer Science",
+  "Medicine",
+  "Chemistry",
+  "Biology",
+  "Economics",
+  "Law",
+];
+
+// S001, S002, ... (three digits, more once the directory outgrows S999)
+export const ID_PATTERN = /^S\d{3,}$/;
+
+export const STUDENT_FIELDS = [
+  "ID",
+  "firstname",
+  "lastname",
+  "gender",
+  "birthdate",
+  "studysubject",
+  "city",
+];
+
+// English texts of the validation codes, for API clients. The UI shows the
+// "validation" messages of locales/*.json for the same codes instead.
+const MESSAGES = {
+  required: "is required",
+  string: "must be a string",
+  id: "must look like S001",
+  date: "must be a valid date (YYYY-MM-DD)",
+  future: "must not be in the future",
+  object: "must be a JSON object",
+  fixed: "cannot be changed",
+};
+
+// A field error: { code, message }, plus the allowed `values` for "oneOf"
+export function validationError(code, values) {
+  if (code === "oneOf") {
+    return { code, values, message: `must be one of: ${values.join(", ")}` };
+  }
+  return { code, message: MESSAGES[code] };
+}
+
+// The validation code for a field's value, or null when it is valid
+function fieldError(field, value) {
+  if (value === undefined || value === null || value === "") {
+    return "required";
+  }
+  if (typeof value !== "string") return "string";
+
+  switch (field) {
+    case "ID":
+      return ID_PATTERN.test(value) ? null : "id";
+    case "gender":
+      return GENDERS.includes(value) ? null : "oneOf";
+    case "birthdate":
+      return birthdateError(value);
+    case "studysubject":
+      return SUBJECTS.includes(value) ? null : "oneOf";
+    default:
+      return value.trim() ? null : "required";
+  }
+}
+
+const ALLOWED_VALUES = { gender: GENDERS, studysubject: SUBJECTS };
+
+// Validates a student record. Returns the cleaned record (known fields only,
+// strings trimmed) and a field -> validationError map, or null when there
+// are no errors. With { partial: true } only the fields present are checked, which
+// is what PATCH requests need. ID is only checked when present, since new
+// students may have one generated for them.
+export function validateStudent(data, { partial = false } = {}) {
+  const value = {};
+  const errors = {};
+
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return { value, errors: { _: validationError("object") } };
+  }
+
+  STUDENT_FIELDS.forEach((field) => {
+    const raw =
+      typeof data[field] === "string" ? data[field].trim() : data[field];
+    if (raw === undefined && (partial || field === "ID")) return;
+    const code = fieldError(field, raw);
+    if (code) errors[field] = validationError(code, ALLOWED_VALUES[field]);
+    else value[field] = raw;
+  });
+
+  return { value, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+// Returns the ID after the highest one in use, e.g. S041 after S040
+export function nextStudentId(students) {
+  const highest = students.reduce((max, student) => {
+    const number = parseInt(student.ID.slice(1), 10);
+    return number > max ? number : max;
+  }, 0);
+  return `S${String(highest + 1).padStart(3, "0")}`;
+}
@@ -0,0 +1,212 @@
+/*
+ * suggest.js - Closest-match suggestions for mistyped student URLs
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import { DEFAULT_LOCALE, genderName, subjectName, translate } from "./i18n";
+
+// Routes under /students/, used to correct mistyped route names
+const STUDENT_ROUTES = [
+  "all",
+  "birthdays",
+  "csr",
+  "infinite",
+  "import",
+  "new",
+  "isr",
+  "search",
+  "stats",
+  "statsisr",
+  "idfilterssr",
+  "idfilterssg",
+  "gsnestedssr",
+  "gsnestedssg",
+  "gscatchallssr",
+  "gscatchallssg",
+  "city",
+  "cityssr",
+  "name",
+];
+
+// Number of single-character edits needed to turn a into b
+export function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Returns the candidate closest to value (ignoring case), or null when even
+// the best one needs more edits than half the length of value
+export function closest(value, candidates, key = (candidate) => candidate) {
+  if (!value) return null;
+  const needle = value.toLowerCase();
+  let best = null;
+  let bestDistance = Math.ceil(needle.length / 2) + 1;
+  candidates.forEach((candidate) => {
+    const distance = levenshtein(needle, key(candidate).toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+function closestStudent(value, students) {
+  let best = null;
+  let bestDistance = Infinity;
+  students.forEach((student) => {
+    const match = closest(value, [
+      student.ID,
+      student.firstname,
+      student.lastname,
+      `${student.firstname} ${student.lastname}`,
+    ]);
+    if (!match) return;
+    const distance = levenshtein(value.toLowerCase(), match.toLowerCase());
+    if (distance < bestDistance) {
+      best = student;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
+
+// Suggests pages close to a path that does not exist, e.g.
+// /students/idfilterssr/S0001 -> /students/idfilterssr/S001 or
+// /students/gscatchallssr/femal/Physic -> .../female/Physics.
+// `data` holds the students ({ ID, firstname, lastname }), genders, subjects
+// and cities ({ city, slug }) to match against. Returns a list of
+// { href, label }, with the labels in the given locale.
+export function suggestForPath(
+  path,
+  { students, genders, subjects, cities = [] },
+  locale = DEFAULT_LOCALE
+) {
+  const segments = path
+    .split(/[?#]/)[0]
+    .split("/")
+    .filter(Boolean)
+    .map(decodeSegment);
+  if (segments[0] !== "students" || !segments[1]) return [];
+
+  const route = closest(segments[1], STUDENT_ROUTES);
+  if (!route) return [];
+  const base = `/students/${route}`;
+  const [first, second] = segments.slice(2);
+
+  if (route.startsWith("idfilter")) {
+    const student = first && closestStudent(first, students);
+    if (!student) return [];
+    return [
+      {
+        href: `${base}/${student.ID}`,
+        label: `${student.firstname} ${student.lastname} (${student.ID})`,
+      },
+    ];
+  }
+
+  if (route.startsWith("gsnested") || route.startsWith("gscatchall")) {
+    const gender = closest(first, genders);
+    const subject = closest(second, subjects);
+    if (gender && subject) {
+      return [
+        {
+          href: `${base}/${gender}/${encodeURIComponent(subject)}`,
+          label: translate(locale, "suggestions.genderSubject", {
+            gender: genderName(gender, locale),
+            subject: subjectName(subject, locale),
+          }),
+        },
+      ];
+    }
+    // The nested route needs both segments; fall back to the catch-all
+    const catchAll = route.replace("gsnested", "gscatchall");
+    if (gender) {
+      return [
+        {
+          href: `/students/${catchAll}/${gender}`,
+          label: translate(locale, "suggestions.gender", {
+            gender: genderName(gender, locale),
+          }),
+        },
+      ];
+    }
+    return [
+      {
+        href: `/students/${catchAll}`,
+        label: translate(locale, "suggestions.allStudents"),
+      },
+    ];
+  }
+
+  if (route === "name") {
+    const student = first && closestStudent(first, students);
+    if (!student) return [];
+    return [
+      {
+        href: `${base}/${encodeURIComponent(student.lastname)}`,
+        label: student.lastname,
+      },
+    ];
+  }
+
+  if (route.startsWith("city")) {
+    const match = first && closest(first, cities, ({ slug }) => slug);
+    if (!match) {
+      return [
+        {
+          href: "/students/city",
+          label: translate(locale, "suggestions.allCities"),
+        },
+      ];
+    }
+    return [{ href: `${base}/${match.slug}`, label: match.city }];
+  }
+
+  return [{ href: base, label: base }];
+}
@@ -0,0 +1,111 @@
+/*
+ * webVitals.js - Sends the browser metrics from reportWebVitals to /api/metrics
+ *
+ * Copyright © 2025 Michael Abler
+ *
+ * Licensed under the MIT License. See the LICENSE.md file in the root directory
+ * for details.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ *
+ * @author Michael Abler
+ * @see https://github.com/MichaelAbler/nextjs_essentials_pagesrouter_rendering
+ */
+
+import Router from "next/router";
+
+// Metrics passed to reportWebVitals in _app.js that /api/metrics accepts.
+// Most describe the initial page load; the last two are client-side
+// navigations.
+export const CLIENT_METRICS = [
+  "TTFB",
+  "FCP",
+  "LCP",
+  "CLS",
+  "INP",
+  "FID",
+  "Next.js-hydration",
+  "Next.js-route-change-to-render",
+  "Next.js-render",
+];
+
+// Pages compared on /metrics, by route pattern. Only their metrics are sent
+// and accepted.
+export const COMPARED_PAGES = [
+  "/students/idfilterssr/[ID]",
+  "/students/idfilterssg/[ID]",
+  "/students/isr",
+  "/students/csr",
+];
+
+const NAVIGATION_METRICS = ["Next.js-route-change-to-render", "Next.js-render"];
+
+// Metrics are sent in batches, once the page has been quiet for a moment or
+// is being hidden
+const FLUSH_DELAY = 2000;
+
+let queue = [];
+let timer = null;
+let initialPage = null;
+
+function flush() {
+  clearTimeout(timer);
+  timer = null;
+  if (queue.length === 0) return;
+  const body = JSON.stringify(queue);
+  queue = [];
+  // sendBeacon survives the page being closed; fetch is the fallback
+  const sent =
+    navigator.sendBeacon?.(
+      "/api/metrics",
+      new Blob([body], { type: "application/json" })
+    ) ?? false;
+  if (!sent) {
+    fetch("/api/metrics", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body,
+      keepalive: true,
+    }).catch(() => {});
+  }
+}
+
+// Queues a metric from reportWebVitals for /api/metrics. Load metrics such
+// as LCP may only be final after the user navigated elsewhere, so they are
+// attributed to the page that was loaded first, by its route pattern
+// (e.g. "/students/idfilterssr/[ID]").
+export function reportMetric({ name, value }) {
+  if (process.env.NODE_ENV !== "production") return;
+  if (!CLIENT_METRICS.includes(name)) return;
+
+  if (initialPage === null) {
+    initialPage = window.__NEXT_DATA__.page;
+    window.addEventListener("pagehide", flush);
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "hidden") flush();
+    });
+  }
+  const page = NAVIGATION_METRICS.includes(name)
+    ? Router.pathname
+    : initialPage;
+  if (!COMPARED_PAGES.includes(page)) return;
+  queue.push({ page, name, value });
+  clearTimeout(timer);
+  timer = setTimeout(flush, FLUSH_DELAY);
+}